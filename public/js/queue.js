@@ -0,0 +1,98 @@
+// Song request queue for OBS - shows the approved requests, next one first
+// URL parameters: ?theme=dark, ?count=5 (how many to list), ?requester=false (hide who asked),
+// ?hideEmpty=true (hide the page while the queue is empty), ?preview=true
+class RequestQueueView {
+  constructor() {
+    const params = new URLSearchParams(window.location.search);
+    this.ws = null;
+    this.count = Math.max(parseInt(params.get('count'), 10) || 5, 1);
+    this.showRequester = params.get('requester') !== 'false';
+    this.hideEmpty = params.get('hideEmpty') === 'true';
+    // Requests already on screen - only new ones animate in
+    this.shownIds = new Set();
+
+    this.elements = {
+      container: document.getElementById('queue-container'),
+      empty: document.getElementById('queue-empty'),
+      list: document.getElementById('queue-list')
+    };
+
+    if (params.get('preview') === 'true') {
+      document.body.classList.add('preview');
+    }
+    if (params.get('theme')) {
+      this.elements.container.setAttribute('data-theme', params.get('theme'));
+    }
+
+    this.render([]);
+    this.connectWebSocket();
+  }
+
+  connectWebSocket() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    this.ws = new WebSocket(`${protocol}//${window.location.host}/?view=queue`);
+
+    this.ws.onopen = () => {
+      console.log('Connected to server');
+    };
+
+    this.ws.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'requests') {
+        this.render(message.data.upNext);
+      }
+    };
+
+    this.ws.onclose = () => {
+      console.log('Disconnected, reconnecting...');
+      setTimeout(() => this.connectWebSocket(), 3000);
+    };
+
+    this.ws.onerror = (error) => {
+      console.error('WebSocket error:', error);
+    };
+  }
+
+  render(upNext) {
+    const requests = upNext.slice(0, this.count);
+    this.elements.empty.style.display = requests.length ? 'none' : 'block';
+    this.elements.container.classList.toggle('queue-hidden', this.hideEmpty && requests.length === 0);
+
+    this.elements.list.replaceChildren(...requests.map((request, index) => {
+      const item = document.createElement('li');
+      item.className = this.shownIds.has(request.id) ? 'queue-item' : 'queue-item queue-item-new';
+
+      const position = document.createElement('span');
+      position.className = 'queue-position';
+      position.textContent = index + 1;
+
+      const song = document.createElement('div');
+      song.className = 'queue-song';
+      const title = document.createElement('div');
+      title.className = 'track-title';
+      // Links that couldn't be looked up only have what the viewer typed
+      title.textContent = request.title || request.text;
+      song.append(title);
+      if (request.artist) {
+        const artist = document.createElement('div');
+        artist.className = 'track-artist';
+        artist.textContent = request.artist;
+        song.append(artist);
+      }
+
+      item.append(position, song);
+      if (this.showRequester) {
+        const requester = document.createElement('span');
+        requester.className = 'queue-requester';
+        requester.textContent = request.user;
+        item.append(requester);
+      }
+      return item;
+    }));
+    this.shownIds = new Set(requests.map(request => request.id));
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new RequestQueueView();
+});
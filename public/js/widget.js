@@ -1,8 +1,42 @@
+// Without a spectrum message for this long the visualizer goes back to its own animation
+const SPECTRUM_TIMEOUT = 500;
+// Track transitions: when the theme doesn't set --transition-duration, how long to wait for new art, and typing speed
+const DEFAULT_TRANSITION_DURATION = 400;
+const ART_LOAD_TIMEOUT = 2000;
+const TYPEWRITER_CHAR_DELAY = 35;
+const TRANSITION_PHASES = ['is-entering', 'is-changing', 'is-leaving'];
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 class MusicWidget {
   constructor() {
     this.ws = null;
     this.currentTrack = null;
     this.isPlaying = false;
+    this.isIdle = true;
+
+    // Named instance (/widget/:instance) - its look and auto-hide rules are saved on the server
+    this.instance = window.location.pathname.match(/^\/widget\/([^/]+)/)?.[1] || null;
+
+    // Auto-hide rules (see DEFAULT_WIDGET_STATE.visibility on the server) - the main widget's come from its URL
+    // The config page preview always stays visible
+    this.visibility = visibilityFromParams(new URLSearchParams(window.location.search));
+    this.alwaysVisible = new URLSearchParams(window.location.search).get('preview') === 'true';
+    // Shown whatever the rules say until this time - set by track changes and 'show' messages
+    this.shownUntil = 0;
+    // When the current track was paused, null while playing
+    this.pausedAt = null;
+
+    // Theme changes saved on /config arrive as 'config' messages and are applied without a reload
+    // Turn it off with ?live=false to keep a widget on the look from its URL
+    this.liveConfig = Boolean(this.instance) || new URLSearchParams(window.location.search).get('live') !== 'false';
+    // Uploaded theme the page was built from (null for widget.html) - another one is swapped in when the config changes
+    // An instance's page comes from its saved theme, so it is only known once the first config message arrives
+    this.customThemeId = this.instance ? undefined : new URLSearchParams(window.location.search).get('customTheme');
+    // Config messages are applied one at a time, since swapping the page waits for the new theme
+    this.configQueue = Promise.resolve();
 
     // Debug mode - enable via URL param ?debug=true
     this.debug = new URLSearchParams(window.location.search).get('debug') === 'true';
@@ -13,6 +47,29 @@ class MusicWidget {
     this.syncedProgressMs = 0;    // Progress value when we last synced
     this.syncedAtTime = 0;        // System time (Date.now()) when we synced
 
+    // Synced lyrics - shown when the theme has a #lyrics element, hide them with ?lyrics=false
+    this.showLyrics = new URLSearchParams(window.location.search).get('lyrics') !== 'false';
+    this.lyrics = null;
+    this.activeLyricIndex = -1;
+
+    // Colors from the album art (--art-dominant, --art-accent, --art-text) - turned on per theme with ?artColors=true
+    this.useArtColors = new URLSearchParams(window.location.search).get('artColors') === 'true';
+
+    // Band levels (0..1) from the server's audio capture, when it is turned on
+    this.spectrum = null;
+    this.spectrumAt = 0;
+
+    // Track transitions (data-transition on the container) - every phase gets an id,
+    // so a newer update cancels one still waiting for its art or animation
+    this.transitionId = 0;
+    this.transitionPending = false;
+
+    this.bindElements();
+    this.init();
+  }
+
+  // Look up the theme's elements - again after a new theme page is swapped in
+  bindElements() {
     this.elements = {
       container: document.getElementById('widget-container'),
       albumArt: document.getElementById('album-art'),
@@ -25,21 +82,22 @@ class MusicWidget {
       totalTime: document.getElementById('total-time'),
       visualizer: document.getElementById('visualizer'),
       idleState: document.getElementById('idle-state'),
-      trackContent: document.getElementById('track-content')
+      trackContent: document.getElementById('track-content'),
+      lyrics: document.getElementById('lyrics')
     };
-
-    this.init();
   }
 
   init() {
     this.connectWebSocket();
     this.setupVisualizer();
+    this.animateVisualizer();
     this.startProgressTracking();
   }
 
   connectWebSocket() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}`;
+    const query = this.instance ? `?instance=${encodeURIComponent(this.instance)}` : '';
+    const wsUrl = `${protocol}//${window.location.host}/${query}`;
 
     this.ws = new WebSocket(wsUrl);
 
@@ -62,22 +120,125 @@ class MusicWidget {
     };
   }
 
+  // Theme, colors and auto-hide rules from saved widget state (the main widget's or this instance's)
+  async applyConfig(state) {
+    const theme = state.theme || '';
+    const customThemeId = theme.startsWith('custom:') ? theme.slice('custom:'.length) : null;
+
+    if (this.customThemeId === undefined) {
+      this.customThemeId = customThemeId;
+    } else if (customThemeId !== this.customThemeId) {
+      try {
+        await this.swapThemePage(customThemeId);
+      } catch (error) {
+        console.error('Failed to load theme:', error);
+      }
+    }
+
+    const container = this.elements.container;
+    clearCustomColors(container);
+    container.removeAttribute('data-theme');
+    if (theme === 'custom') {
+      applyCustomColors(container, state.customColors || {});
+    } else if (theme && !customThemeId) {
+      container.setAttribute('data-theme', theme);
+    }
+
+    this.useArtColors = Boolean(state.artColors?.[theme]);
+    this.applyPalette(this.currentTrack?.palette);
+    setTransition(container, state.transitions?.[theme]);
+
+    if (state.visibility) {
+      this.visibility = { ...this.visibility, ...state.visibility };
+    }
+  }
+
+  // Rebuild the page from another theme's HTML without a reload
+  // Its scripts are left out - this widget and its connection keep running on the new elements
+  async swapThemePage(customThemeId) {
+    const url = customThemeId ? `/widget?customTheme=${encodeURIComponent(customThemeId)}` : '/widget';
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+    page.querySelectorAll('script').forEach(script => script.remove());
+
+    // Wait for the new stylesheets so the new elements never show unstyled
+    const oldStyles = document.head.querySelectorAll('style, link[rel="stylesheet"]');
+    const newStyles = [...page.head.querySelectorAll('style, link[rel="stylesheet"]')].map(el => document.importNode(el, true));
+    document.head.append(...newStyles);
+    await Promise.all(newStyles
+      .filter(el => el.tagName === 'LINK')
+      .map(link => new Promise(resolve => {
+        link.addEventListener('load', resolve);
+        link.addEventListener('error', resolve);
+      })));
+    oldStyles.forEach(el => el.remove());
+
+    document.body.replaceChildren(...[...page.body.childNodes].map(node => document.importNode(node, true)));
+    this.customThemeId = customThemeId;
+    this.bindElements();
+    this.setupVisualizer();
+    this.render();
+  }
+
+  // Apply the auto-hide rules - checked every frame, since they depend on how long ago things happened
+  updateVisibility() {
+    const { showFor, hideWhenPaused, pausedDelay, hideWhenIdle } = this.visibility;
+    const now = Date.now();
+
+    let hidden;
+    if (this.alwaysVisible || now < this.shownUntil) {
+      hidden = false;
+    } else if (this.isIdle) {
+      hidden = hideWhenIdle;
+    } else {
+      // With showFor the widget only comes up for track changes, so it stays hidden once that time is over
+      const pausedFor = this.isPlaying ? 0 : now - (this.pausedAt ?? now);
+      hidden = showFor > 0 || (hideWhenPaused && !this.isPlaying && pausedFor >= pausedDelay * 1000);
+    }
+    this.elements.container.classList.toggle('widget-hidden', hidden);
+  }
+
+  // Show the widget for a while whatever the rules say
+  show(seconds) {
+    this.shownUntil = Math.max(this.shownUntil, Date.now() + seconds * 1000);
+  }
+
   handleMessage(message) {
     switch (message.type) {
       case 'track':
         this.updateTrack(message.data);
         break;
+      case 'lyrics':
+        this.updateLyrics(message.data);
+        break;
+      case 'spectrum':
+        this.spectrum = message.data;
+        this.spectrumAt = Date.now();
+        break;
+      case 'config':
+        if (this.liveConfig) {
+          this.configQueue = this.configQueue
+            .then(() => this.applyConfig(message.data))
+            .catch(error => console.error('Failed to apply config:', error));
+        }
+        break;
+      case 'show':
+        this.show(message.data.seconds);
+        break;
     }
   }
 
   updateTrack(track) {
     if (!track || !track.title) {
-      this.showIdleState();
+      this.leave();
       return;
     }
 
-    this.hideIdleState();
-
+    const isOtherTrack = !this.currentTrack ||
+      this.currentTrack.title !== track.title || this.currentTrack.artist !== track.artist;
     const serverProgress = track.progress || 0;
 
     // Debug logging
@@ -95,11 +256,156 @@ class MusicWidget {
     this.syncedProgressMs = serverProgress;
     this.syncedAtTime = Date.now();
 
+    // Lyrics arrive in their own message - drop the previous track's right away
+    if (this.lyrics && (this.lyrics.title !== track.title || this.lyrics.artist !== track.artist)) {
+      this.updateLyrics(null);
+    }
+
     // Update state
     this.currentTrack = track;
     this.isPlaying = track.playing;
+    if (track.playing) {
+      this.pausedAt = null;
+    } else if (this.pausedAt === null) {
+      this.pausedAt = Date.now();
+    }
+    if ((this.isIdle || isOtherTrack) && this.visibility.showFor > 0) {
+      this.show(this.visibility.showFor);
+    }
+
+    if (this.isIdle) {
+      this.enter();
+    } else if (isOtherTrack) {
+      this.change();
+    } else if (!this.transitionPending) {
+      // Play/pause, seek or new art - a transition on its way shows the latest state anyway
+      this.renderTrack();
+    }
+  }
+
+  get transition() {
+    return this.elements.container.dataset.transition || 'none';
+  }
+
+  // Themes set --transition-duration (e.g. 400ms or 0.4s) to match their own animations
+  getTransitionDuration() {
+    const value = getComputedStyle(this.elements.container).getPropertyValue('--transition-duration').trim();
+    const duration = parseFloat(value) * (value.endsWith('ms') ? 1 : 1000);
+    return Number.isFinite(duration) ? duration : DEFAULT_TRANSITION_DURATION;
+  }
+
+  // Start a phase: put its class on the container and cancel whatever phase was running
+  startTransition(phase) {
+    const container = this.elements.container;
+    container.classList.remove(...TRANSITION_PHASES);
+    container.classList.add(phase);
+    this.transitionPending = true;
+    return ++this.transitionId;
+  }
+
+  // Remove the phase class so the new content animates in
+  finishTransition(id) {
+    const container = this.elements.container;
+    this.transitionPending = false;
+    // Apply the hidden look first, in case the content was only just shown
+    void container.offsetWidth;
+    container.classList.remove(...TRANSITION_PHASES);
+    if (this.transition === 'typewriter') {
+      this.typeTrackInfo(id);
+    }
+  }
+
+  // Resolves once the image is ready to show (or failed, or took too long) - avoids revealing an empty cover
+  preloadArt(url) {
+    if (!url) return Promise.resolve();
+    const image = new Image();
+    image.src = url;
+    return Promise.race([image.decode().catch(() => {}), wait(ART_LOAD_TIMEOUT)]);
+  }
+
+  // Idle -> track
+  async enter() {
+    if (this.transition === 'none') {
+      this.hideIdleState();
+      this.renderTrack();
+      return;
+    }
+
+    const id = this.startTransition('is-entering');
+    await this.preloadArt(this.currentTrack.albumArt);
+    if (id !== this.transitionId) return;
+
+    this.hideIdleState();
+    this.renderTrack();
+    this.finishTransition(id);
+  }
+
+  // One track -> the next: animate the old one out, swap once the new art is ready, animate in
+  async change() {
+    if (this.transition === 'none') {
+      this.renderTrack();
+      return;
+    }
+
+    const id = this.startTransition('is-changing');
+    await Promise.all([wait(this.getTransitionDuration()), this.preloadArt(this.currentTrack.albumArt)]);
+    if (id !== this.transitionId) return;
+
+    this.renderTrack();
+    this.finishTransition(id);
+  }
+
+  // Track -> idle
+  async leave() {
+    if (this.isIdle || this.transition === 'none') {
+      this.transitionId++;
+      this.elements.container.classList.remove(...TRANSITION_PHASES);
+      this.showIdleState();
+      return;
+    }
+
+    const id = this.startTransition('is-leaving');
+    await wait(this.getTransitionDuration());
+    if (id !== this.transitionId) return;
+
+    this.transitionPending = false;
+    this.elements.container.classList.remove(...TRANSITION_PHASES);
+    this.showIdleState();
+  }
+
+  // Type the title, then the artist, a letter at a time - stops when another transition starts
+  async typeTrackInfo(id) {
+    const { title, artist } = this.elements;
+    const lines = [[title, title.textContent], [artist, artist.textContent]];
+    lines.forEach(([element]) => { element.textContent = ''; });
+
+    for (const [element, text] of lines) {
+      for (let length = 1; length <= text.length; length++) {
+        if (id !== this.transitionId) return;
+        element.textContent = text.slice(0, length);
+        await wait(TYPEWRITER_CHAR_DELAY);
+      }
+    }
+  }
+
+  // Everything on screen, e.g. after a new theme page was swapped in
+  render() {
+    // A transition halfway through would be finishing on elements that are gone
+    this.transitionId++;
+    this.transitionPending = false;
+    if (this.currentTrack?.title && !this.isIdle) {
+      this.hideIdleState();
+      this.renderTrack();
+    } else {
+      this.showIdleState();
+    }
+    this.renderLyrics();
+  }
+
+  // Show the current track (not progress - that's handled by the render loop)
+  renderTrack() {
+    const track = this.currentTrack;
 
-    // Update UI elements (not progress - that's handled by the render loop)
     this.elements.title.textContent = track.title;
     this.elements.artist.textContent = track.artist || 'Unknown Artist';
 
@@ -114,6 +420,8 @@ class MusicWidget {
       this.elements.albumArtPlaceholder.classList.add('visible');
     }
 
+    this.applyPalette(track.palette);
+
     // Playing indicator
     if (track.playing) {
       this.elements.playingIndicator.classList.remove('paused');
@@ -132,6 +440,22 @@ class MusicWidget {
     this.checkTextOverflow();
   }
 
+  // Expose the album art palette as CSS variables - themes fall back to their own colors without it
+  // The variables are registered with @property, so they transition smoothly between tracks
+  applyPalette(palette) {
+    const container = this.elements.container;
+
+    if (palette && this.useArtColors) {
+      container.style.setProperty('--art-dominant', palette.dominant);
+      container.style.setProperty('--art-accent', palette.accent);
+      container.style.setProperty('--art-text', palette.text);
+      container.classList.add('art-colors');
+    } else {
+      ['--art-dominant', '--art-accent', '--art-text'].forEach(name => container.style.removeProperty(name));
+      container.classList.remove('art-colors');
+    }
+  }
+
   // Calculate current progress based on synced time + elapsed system time
   getCurrentProgress() {
     if (!this.currentTrack || this.syncedAtTime === 0) return 0;
@@ -153,12 +477,67 @@ class MusicWidget {
 
     this.elements.progressBar.style.width = `${percentage}%`;
     this.elements.currentTime.textContent = this.formatTime(progress);
+    this.updateActiveLyric(progress);
+  }
+
+  updateLyrics(lyrics) {
+    if (!this.showLyrics) return;
+    // Late lyrics for a track that is no longer playing
+    if (lyrics && this.currentTrack && lyrics.title !== this.currentTrack.title) return;
+
+    this.lyrics = lyrics?.lines?.length ? lyrics : null;
+    this.renderLyrics();
+  }
+
+  // Lyrics are kept even when the theme has no #lyrics element, in case the next theme has one
+  renderLyrics() {
+    const lyricsEl = this.elements.lyrics;
+    if (!lyricsEl) return;
+
+    this.activeLyricIndex = -1;
+    lyricsEl.innerHTML = '';
+    lyricsEl.scrollTop = 0;
+    this.elements.container.classList.toggle('has-lyrics', Boolean(this.lyrics));
+    if (!this.lyrics) return;
+
+    this.lyrics.lines.forEach(line => {
+      const lineEl = document.createElement('div');
+      lineEl.className = 'lyrics-line';
+      // Empty lines mark instrumental breaks - keep them one line tall
+      lineEl.textContent = line.text || '\u00a0';
+      lyricsEl.appendChild(lineEl);
+    });
+  }
+
+  // Highlight the line for the current position and scroll it to the top
+  updateActiveLyric(progress) {
+    if (!this.lyrics || !this.elements.lyrics) return;
+
+    const lines = this.lyrics.lines;
+    let index = -1;
+    while (index + 1 < lines.length && lines[index + 1].time <= progress) {
+      index++;
+    }
+    if (index === this.activeLyricIndex) return;
+
+    const lineEls = this.elements.lyrics.children;
+    lineEls[this.activeLyricIndex]?.classList.remove('active');
+    this.activeLyricIndex = index;
+
+    const activeEl = lineEls[index];
+    if (activeEl) {
+      activeEl.classList.add('active');
+      this.elements.lyrics.scrollTop = activeEl.offsetTop;
+    } else {
+      this.elements.lyrics.scrollTop = 0;
+    }
   }
 
   startProgressTracking() {
     // Pure display update - no state changes, just reads from getCurrentProgress()
     const updateLoop = () => {
       this.updateProgressDisplay();
+      this.updateVisibility();
       requestAnimationFrame(updateLoop);
     };
     requestAnimationFrame(updateLoop);
@@ -182,15 +561,22 @@ class MusicWidget {
       bar.style.height = '4px';
       this.elements.visualizer.appendChild(bar);
     }
-
-    this.animateVisualizer();
   }
 
   animateVisualizer() {
-    const bars = this.elements.visualizer.querySelectorAll('.visualizer-bar');
-
     const animate = () => {
-      if (this.isPlaying) {
+      // Looked up every frame - the bars are rebuilt when a new theme page is swapped in
+      const bars = this.elements.visualizer.querySelectorAll('.visualizer-bar');
+      const live = this.spectrum && Date.now() - this.spectrumAt < SPECTRUM_TIMEOUT;
+      this.elements.visualizer.classList.toggle('live', Boolean(live));
+
+      if (live) {
+        bars.forEach((bar, index) => {
+          // Stretch the bands over however many bars the theme has
+          const band = Math.min(Math.floor(index * this.spectrum.length / bars.length), this.spectrum.length - 1);
+          bar.style.height = `${4 + this.spectrum[band] * 26}px`;
+        });
+      } else if (this.isPlaying) {
         bars.forEach((bar, index) => {
           // Create a wave-like pattern with some randomness
           const time = Date.now() / 150;
@@ -230,9 +616,14 @@ class MusicWidget {
     this.elements.container.classList.add('not-playing');
     this.elements.visualizer.classList.add('paused');
     this.isPlaying = false;
+    this.isIdle = true;
+    this.pausedAt = null;
+    this.updateLyrics(null);
+    this.applyPalette(null);
   }
 
   hideIdleState() {
+    this.isIdle = false;
     this.elements.idleState.style.display = 'none';
     this.elements.trackContent.style.display = 'flex';
   }
@@ -257,6 +648,61 @@ if (theme) {
   document.getElementById('widget-container')?.setAttribute('data-theme', theme);
 }
 
+// Auto-hide rules from the URL - ?showFor=10 shows the widget for 10 seconds after a track change,
+// ?hidePausedAfter=30 hides it once paused for 30 seconds, ?hideIdle=true hides it when nothing is playing
+function visibilityFromParams(params) {
+  const seconds = (name) => Math.max(parseFloat(params.get(name)) || 0, 0);
+  return {
+    showFor: seconds('showFor'),
+    hideWhenPaused: params.has('hidePausedAfter'),
+    pausedDelay: seconds('hidePausedAfter'),
+    hideWhenIdle: params.get('hideIdle') === 'true'
+  };
+}
+
+// Custom theme colors - { bg, text, accent } as #rrggbb, each one optional
+function applyCustomColors(container, { bg, text, accent }) {
+  if (bg) {
+    container.style.setProperty('--custom-bg', bg);
+    container.style.background = bg;
+  }
+  if (text) {
+    container.style.setProperty('--custom-text', text);
+    document.documentElement.style.setProperty('--custom-text', text);
+  }
+  if (accent) {
+    container.style.setProperty('--custom-accent', accent);
+    document.documentElement.style.setProperty('--custom-accent', accent);
+  }
+  container.setAttribute('data-theme', 'custom');
+}
+
+// Track change animation - 'fade', 'slide', 'flip-art' or 'typewriter', anything else turns it off
+function setTransition(container, transition) {
+  if (['fade', 'slide', 'flip-art', 'typewriter'].includes(transition)) {
+    container.setAttribute('data-transition', transition);
+  } else {
+    container.removeAttribute('data-transition');
+  }
+}
+
+function clearCustomColors(container) {
+  ['--custom-bg', '--custom-text', '--custom-accent'].forEach(name => {
+    container.style.removeProperty(name);
+    document.documentElement.style.removeProperty(name);
+  });
+  container.style.removeProperty('background');
+}
+
+// Transition parameter
+const transition = params.get('transition');
+if (transition) {
+  const container = document.getElementById('widget-container');
+  if (container) {
+    setTransition(container, transition);
+  }
+}
+
 // Custom color parameters
 const bgColor = params.get('bg');
 const textColor = params.get('text');
@@ -265,18 +711,10 @@ const accentColor = params.get('accent');
 if (bgColor || textColor || accentColor) {
   const container = document.getElementById('widget-container');
   if (container) {
-    if (bgColor) {
-      container.style.setProperty('--custom-bg', `#${bgColor}`);
-      container.style.background = `#${bgColor}`;
-    }
-    if (textColor) {
-      container.style.setProperty('--custom-text', `#${textColor}`);
-      document.documentElement.style.setProperty('--custom-text', `#${textColor}`);
-    }
-    if (accentColor) {
-      container.style.setProperty('--custom-accent', `#${accentColor}`);
-      document.documentElement.style.setProperty('--custom-accent', `#${accentColor}`);
-    }
-    container.setAttribute('data-theme', 'custom');
+    applyCustomColors(container, {
+      bg: bgColor && `#${bgColor}`,
+      text: textColor && `#${textColor}`,
+      accent: accentColor && `#${accentColor}`
+    });
   }
 }
@@ -0,0 +1,19 @@
+// Deezer search API - https://developers.deezer.com/api/search
+export const deezerResolver = {
+  id: 'deezer',
+  name: 'Deezer',
+
+  async search({ title, artist }, { baseUrl, request }) {
+    const query = artist ? `artist:"${artist}" track:"${title}"` : title;
+    const data = await request(`${baseUrl}/search?q=${encodeURIComponent(query)}&limit=10`);
+
+    return (data.data || [])
+      .filter(result => result.album?.cover_big || result.album?.cover_medium)
+      .map(result => ({
+        title: result.title,
+        artist: result.artist?.name,
+        album: result.album.title,
+        url: result.album.cover_big || result.album.cover_medium
+      }));
+  }
+};
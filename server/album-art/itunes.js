@@ -0,0 +1,20 @@
+// iTunes Search API - https://performance-partners.apple.com/search-api
+export const itunesResolver = {
+  id: 'itunes',
+  name: 'iTunes',
+
+  async search({ title, artist }, { baseUrl, request }) {
+    const term = encodeURIComponent(`${artist || ''} ${title}`.trim());
+    const data = await request(`${baseUrl}/search?term=${term}&media=music&entity=song&limit=10`);
+
+    return (data.results || [])
+      .filter(result => result.artworkUrl100)
+      .map(result => ({
+        title: result.trackName,
+        artist: result.artistName,
+        album: result.collectionName,
+        // Ask for a larger size than the 100x100 thumbnail the search returns
+        url: result.artworkUrl100.replace('100x100', '600x600')
+      }));
+  }
+};
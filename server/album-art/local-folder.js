@@ -0,0 +1,28 @@
+import { readFile } from 'fs/promises';
+import { detectImageType } from '../art-cache.js';
+import { listFiles, splitFileName } from '../local-files.js';
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+// Images in a local folder, matched by file name:
+//   Artist - Title.jpg, Artist - Album.jpg, Artist/Album.jpg or just Album.jpg
+export const localFolderResolver = {
+  id: 'local',
+  name: 'Local Folder',
+
+  async search(query, { directory }) {
+    const files = await listFiles(directory, IMAGE_EXTENSIONS);
+
+    return files.map(file => {
+      const { artist, name } = splitFileName(directory, file);
+      // The name could be either the album or a single - the scorer tries both
+      return { artist, album: name, file };
+    });
+  },
+
+  async confirm(candidate) {
+    const buffer = await readFile(candidate.file);
+    const imageType = detectImageType(buffer);
+    return imageType ? `data:${imageType.type};base64,${buffer.toString('base64')}` : null;
+  }
+};
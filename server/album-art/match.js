@@ -0,0 +1,83 @@
+// Fuzzy matching of lookup results against the track that is playing
+// Scores are 0..1 - the resolver chain rejects anything below its minimum score
+
+// Version/edition noise that shouldn't count against a match
+const NOISE_PATTERNS = [
+  /\s*[([][^)\]]*\b(remaster(ed)?|deluxe|edition|version|mono|stereo|live|explicit|clean|bonus|anniversary|edit|mix|feat\.?|ft\.?|with)\b[^)\]]*[)\]]/gi,
+  /\s+-\s+.*\b(remaster(ed)?|version|edit|mix|live)\b.*$/i,
+  /\s+(feat\.?|ft\.?|featuring)\s+.*$/i
+];
+
+export function normalize(text) {
+  let result = (text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+  NOISE_PATTERNS.forEach(pattern => {
+    result = result.replace(pattern, '');
+  });
+  return result
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const result = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    result.push(compact.slice(i, i + 2));
+  }
+  return result;
+}
+
+// Dice coefficient over character bigrams, with a floor when one name contains the other
+export function similarity(a, b) {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftBigrams = bigrams(left);
+  const rightBigrams = bigrams(right);
+  if (leftBigrams.length === 0 || rightBigrams.length === 0) return 0;
+
+  const counts = new Map();
+  leftBigrams.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+  let shared = 0;
+  rightBigrams.forEach(gram => {
+    if (counts.get(gram) > 0) {
+      shared++;
+      counts.set(gram, counts.get(gram) - 1);
+    }
+  });
+
+  const dice = (2 * shared) / (leftBigrams.length + rightBigrams.length);
+  const contained = ` ${left} `.includes(` ${right} `) || ` ${right} `.includes(` ${left} `);
+  return contained ? Math.max(dice, 0.9) : dice;
+}
+
+// How well a candidate { title, artist, album } matches the query track
+export function scoreCandidate(query, candidate) {
+  const parts = [];
+  const artistScore = query.artist && candidate.artist ? similarity(query.artist, candidate.artist) : null;
+
+  if (artistScore !== null) {
+    parts.push([0.4, artistScore]);
+  }
+
+  if (query.album && candidate.album && candidate.title) {
+    parts.push([0.4, similarity(query.title, candidate.title)], [0.2, similarity(query.album, candidate.album)]);
+  } else {
+    // Album-only candidates (cover searches, file names) may be named after the album or a single
+    const titleScore = candidate.title ? similarity(query.title, candidate.title) : 0;
+    const albumScore = candidate.album
+      ? Math.max(similarity(query.album, candidate.album), similarity(query.title, candidate.album))
+      : 0;
+    parts.push([0.6, Math.max(titleScore, albumScore)]);
+  }
+
+  const totalWeight = parts.reduce((sum, [weight]) => sum + weight, 0);
+  const score = parts.reduce((sum, [weight, value]) => sum + weight * value, 0) / totalWeight;
+
+  // The same song title by a different artist is the classic wrong cover - don't let the title carry it
+  return artistScore !== null && artistScore < 0.5 ? score * artistScore : score;
+}
@@ -0,0 +1,45 @@
+import fetch from 'node-fetch';
+
+// Lucene special characters in MusicBrainz search queries
+function escapeQuery(text) {
+  return text.replace(/([+\-&|!(){}[\]^"~*?:\\/])/g, '\\$1');
+}
+
+// MusicBrainz recording search + Cover Art Archive images
+// https://musicbrainz.org/doc/MusicBrainz_API/Search and https://coverartarchive.org
+export const musicbrainzResolver = {
+  id: 'musicbrainz',
+  name: 'MusicBrainz',
+
+  async search({ title, artist }, { baseUrl, coverArtUrl, request }) {
+    let query = `recording:"${escapeQuery(title)}"`;
+    if (artist) {
+      query += ` AND artist:"${escapeQuery(artist)}"`;
+    }
+    const data = await request(`${baseUrl}/ws/2/recording?query=${encodeURIComponent(query)}&fmt=json&limit=10`);
+
+    const candidates = [];
+    for (const recording of data.recordings || []) {
+      const artistName = (recording['artist-credit'] || [])
+        .map(credit => credit.name + (credit.joinphrase || ''))
+        .join('');
+
+      // A recording appears on many releases - the first few are enough
+      for (const release of (recording.releases || []).slice(0, 3)) {
+        candidates.push({
+          title: recording.title,
+          artist: artistName,
+          album: release.title,
+          url: `${coverArtUrl}/release/${release.id}/front-500`
+        });
+      }
+    }
+    return candidates;
+  },
+
+  // Most releases have no cover art, so check before using one
+  async confirm(candidate, { signal }) {
+    const response = await fetch(candidate.url, { method: 'HEAD', signal });
+    return response.ok ? candidate.url : null;
+  }
+};
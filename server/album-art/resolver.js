@@ -0,0 +1,87 @@
+import { readFile } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { writeFileAtomic } from '../atomic-file.js';
+import { ResolverChain } from '../resolver-chain.js';
+import { localFolderResolver } from './local-folder.js';
+import { itunesResolver } from './itunes.js';
+import { deezerResolver } from './deezer.js';
+import { musicbrainzResolver } from './musicbrainz.js';
+
+// Every resolver that can be put in the chain
+// A resolver has an id, a name, search(query, options) returning candidates { title, artist, album, url }
+// and optionally confirm(candidate, options) returning the final URL (or null when the image doesn't exist)
+export const ART_RESOLVERS = [localFolderResolver, itunesResolver, deezerResolver, musicbrainzResolver];
+
+// Looks up album art through an ordered chain of resolvers
+// Results are scored against the track and rejected below minScore; pinned overrides always win
+export class AlbumArtResolver extends ResolverChain {
+  constructor({ baseDir, overridesFile }) {
+    super({
+      name: 'Album art',
+      resolvers: ART_RESOLVERS,
+      baseDir,
+      minScore: 0.6,
+      cacheLimit: 200,
+      timeout: 3000,
+      userAgent: 'Noteworthy/1.0.0 (album art lookup)'
+    });
+    this.overridesFile = overridesFile;
+    this.overrides = [];
+  }
+
+  // ========== Overrides ==========
+
+  async loadOverrides() {
+    try {
+      const content = await readFile(this.overridesFile, 'utf-8');
+      this.overrides = JSON.parse(content);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+  }
+
+  saveOverrides() {
+    return writeFileAtomic(this.overridesFile, JSON.stringify(this.overrides, null, 2), 'utf-8');
+  }
+
+  getOverride(track) {
+    const key = AlbumArtResolver.trackKey(track);
+    return this.overrides.find(override => AlbumArtResolver.trackKey(override) === key) || null;
+  }
+
+  // Pin art to a track (matched by artist and title, ignoring case and edition suffixes)
+  async setOverride({ title, artist, url }) {
+    const override = { id: randomUUID(), title, artist: artist || '', url, createdAt: new Date().toISOString() };
+    const existing = this.getOverride(override);
+    if (existing) {
+      this.overrides = this.overrides.filter(o => o !== existing);
+    }
+
+    this.overrides.push(override);
+    await this.saveOverrides();
+    return override;
+  }
+
+  async deleteOverride(id) {
+    const remaining = this.overrides.filter(override => override.id !== id);
+    if (remaining.length === this.overrides.length) return false;
+
+    this.overrides = remaining;
+    await this.saveOverrides();
+    return true;
+  }
+
+  // ========== Lookup ==========
+
+  // resolve() returns the art URL
+  toResult(match) {
+    return match.url;
+  }
+
+  async pick(resolver, candidate, signal) {
+    const url = resolver.confirm ? await resolver.confirm(candidate, { signal }) : candidate.url;
+    return url ? { url } : null;
+  }
+}
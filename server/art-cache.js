@@ -0,0 +1,216 @@
+import { mkdir, readFile, readdir, stat, unlink } from 'fs/promises';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import fetch from 'node-fetch';
+import sharp from 'sharp';
+import { writeFileAtomic } from './atomic-file.js';
+import { extractPalette } from './art-palette.js';
+
+export const ART_URL_PREFIX = '/api/art/';
+export const MIN_ART_SIZE = 16;
+export const MAX_ART_SIZE = 2048;
+
+const DOWNLOAD_TIMEOUT = 5000;
+// Sources that failed to download are passed through untouched until this much time has passed
+const FAILED_RETRY_DELAY = 60000;
+// How many source -> hash lookups to remember (data URIs are large, so keep this small)
+const SOURCE_MEMO_LIMIT = 50;
+// Oldest images (and their resized variants) are removed past this many originals
+const MAX_CACHED_IMAGES = 1000;
+const PALETTE_MEMO_LIMIT = 200;
+
+const HASH_PATTERN = /^[a-f0-9]{32}$/;
+
+const IMAGE_TYPES = [
+  { ext: 'jpg', type: 'image/jpeg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { ext: 'png', type: 'image/png', matches: (b) => b[0] === 0x89 && b.toString('ascii', 1, 4) === 'PNG' },
+  { ext: 'gif', type: 'image/gif', matches: (b) => b.toString('ascii', 0, 3) === 'GIF' },
+  { ext: 'webp', type: 'image/webp', matches: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+// Identify an image by its first bytes - players and APIs often report the wrong content type
+export function detectImageType(buffer) {
+  return IMAGE_TYPES.find(imageType => buffer.length > 12 && imageType.matches(buffer)) || null;
+}
+
+// Content-addressed album art cache on disk
+// Art from players (data URIs) and lookups (remote URLs) is stored once under the hash of its bytes
+// and served from /api/art/<hash>, so widgets get a short, stable URL instead of the image itself
+export class ArtCache {
+  constructor(directory) {
+    this.directory = directory;
+    // hash -> image type of every original on disk
+    this.images = new Map();
+    // source URL -> hash
+    this.memo = new Map();
+    // source URL -> time of the last failed download
+    this.failures = new Map();
+    // hash -> color palette
+    this.palettes = new Map();
+    this.storedSincePrune = 0;
+  }
+
+  async init() {
+    await mkdir(this.directory, { recursive: true });
+
+    for (const file of await readdir(this.directory)) {
+      const match = file.match(/^([a-f0-9]{32})\.(\w+)$/);
+      const imageType = match && IMAGE_TYPES.find(t => t.ext === match[2]);
+      if (imageType) {
+        this.images.set(match[1], imageType);
+      }
+    }
+
+    await this.prune();
+  }
+
+  static isCacheUrl(url) {
+    return typeof url === 'string' && url.startsWith(ART_URL_PREFIX);
+  }
+
+  static hashFromUrl(url) {
+    return url.slice(ART_URL_PREFIX.length).split('?')[0];
+  }
+
+  // Swap a data URI or remote URL for its /api/art URL
+  // Anything that can't be cached right now is returned unchanged so the widget can still try it
+  async resolve(source) {
+    if (!source || ArtCache.isCacheUrl(source)) return source;
+
+    const known = this.memo.get(source);
+    if (known) return `${ART_URL_PREFIX}${known}`;
+
+    if (Date.now() - (this.failures.get(source) || 0) < FAILED_RETRY_DELAY) {
+      return source;
+    }
+
+    try {
+      const hash = await this.store(await this.download(source));
+
+      this.memo.set(source, hash);
+      if (this.memo.size > SOURCE_MEMO_LIMIT) {
+        this.memo.delete(this.memo.keys().next().value);
+      }
+      this.failures.delete(source);
+      return `${ART_URL_PREFIX}${hash}`;
+    } catch (error) {
+      console.error('Album art cache error:', error.message);
+      this.failures.set(source, Date.now());
+      return source;
+    }
+  }
+
+  async download(source) {
+    const dataMatch = source.match(/^data:[^;,]*;base64,(.*)$/);
+    if (dataMatch) {
+      return Buffer.from(dataMatch[1], 'base64');
+    }
+
+    const response = await fetch(source, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT) });
+    if (!response.ok) {
+      throw new Error(`Album art download failed (${response.status})`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  // Save image bytes (if not already cached) and return their hash
+  async store(buffer) {
+    const imageType = detectImageType(buffer);
+    if (!imageType) {
+      throw new Error('Album art is not a supported image');
+    }
+
+    const hash = createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+    if (!this.images.has(hash)) {
+      await writeFileAtomic(join(this.directory, `${hash}.${imageType.ext}`), buffer);
+      this.images.set(hash, imageType);
+
+      if (++this.storedSincePrune >= 50) {
+        this.prune().catch((error) => console.error('Album art cache prune error:', error.message));
+      }
+    }
+    return hash;
+  }
+
+  has(hash) {
+    return HASH_PATTERN.test(hash) && this.images.has(hash);
+  }
+
+  // { buffer, type } for the original or a variant that fits in size x size
+  // Variants are made on first request and kept next to the original
+  async get(hash, size) {
+    const imageType = this.images.get(hash);
+    const originalPath = join(this.directory, `${hash}.${imageType.ext}`);
+
+    if (!size) {
+      return { buffer: await readFile(originalPath), type: imageType.type };
+    }
+
+    const variantPath = join(this.directory, `${hash}-${size}.${imageType.ext}`);
+    try {
+      return { buffer: await readFile(variantPath), type: imageType.type };
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+
+    const buffer = await sharp(await readFile(originalPath), { animated: imageType.ext === 'gif' })
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .toBuffer();
+    await writeFileAtomic(variantPath, buffer);
+    return { buffer, type: imageType.type };
+  }
+
+  // Image bytes behind an /api/art URL (for writers like the OBS file output)
+  async read(url) {
+    const hash = ArtCache.hashFromUrl(url);
+    if (!this.has(hash)) {
+      throw new Error('Album art is no longer cached');
+    }
+    return (await this.get(hash)).buffer;
+  }
+
+  // { dominant, accent, text } colors for the art behind an /api/art URL, or null
+  async getPalette(url) {
+    if (!ArtCache.isCacheUrl(url)) return null;
+    const hash = ArtCache.hashFromUrl(url);
+    if (!this.has(hash)) return null;
+
+    if (!this.palettes.has(hash)) {
+      try {
+        this.palettes.set(hash, await extractPalette((await this.get(hash)).buffer));
+      } catch (error) {
+        console.error('Album art palette error:', error.message);
+        this.palettes.set(hash, null);
+      }
+      if (this.palettes.size > PALETTE_MEMO_LIMIT) {
+        this.palettes.delete(this.palettes.keys().next().value);
+      }
+    }
+    return this.palettes.get(hash);
+  }
+
+  // Remove the least recently added images once the cache grows past its limit
+  async prune() {
+    this.storedSincePrune = 0;
+    if (this.images.size <= MAX_CACHED_IMAGES) return;
+
+    const files = await readdir(this.directory);
+    const originals = await Promise.all([...this.images].map(async ([hash, imageType]) => {
+      const { mtimeMs } = await stat(join(this.directory, `${hash}.${imageType.ext}`)).catch(() => ({ mtimeMs: 0 }));
+      return { hash, mtimeMs };
+    }));
+    originals.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+    for (const { hash } of originals.slice(0, this.images.size - MAX_CACHED_IMAGES)) {
+      this.images.delete(hash);
+      for (const [source, memoHash] of this.memo) {
+        if (memoHash === hash) this.memo.delete(source);
+      }
+      await Promise.all(files
+        .filter(file => file.startsWith(hash))
+        .map(file => unlink(join(this.directory, file)).catch(() => {})));
+    }
+  }
+}
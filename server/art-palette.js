@@ -0,0 +1,86 @@
+import sharp from 'sharp';
+
+// Album art is shrunk to this many pixels a side before counting colors
+const SAMPLE_SIZE = 48;
+// Colors are grouped by their top 4 bits per channel (4096 buckets)
+const BUCKET_SHIFT = 4;
+// WCAG contrast ratios - text on the dominant color must be readable (AA for large text at least),
+// and the accent only has to stand out from the background
+const MIN_TEXT_CONTRAST = 4.5;
+const MIN_ACCENT_CONTRAST = 1.8;
+
+const LIGHT_TEXT = [255, 255, 255];
+const DARK_TEXT = [17, 17, 17];
+
+function toHex(rgb) {
+  return '#' + rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+}
+
+// Relative luminance - https://www.w3.org/TR/WCAG21/#dfn-relative-luminance
+function luminance(rgb) {
+  const [r, g, b] = rgb.map(value => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+export function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+function saturation([r, g, b]) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  return max === 0 ? 0 : (max - min) / max;
+}
+
+function mix(a, b, amount) {
+  return a.map((value, i) => value + (b[i] - value) * amount);
+}
+
+// { dominant, accent, text } hex colors for an image
+// dominant: the most common color, accent: the most vivid color that stands out from it,
+// text: white or near-black, whichever reads better on the dominant color
+export async function extractPalette(buffer) {
+  const { data, info } = await sharp(buffer, { animated: false })
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'cover' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // Average color of every bucket
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += info.channels) {
+    const rgb = [data[i], data[i + 1], data[i + 2]];
+    const key = rgb.map(value => value >> BUCKET_SHIFT).join(',');
+    const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+    bucket.count++;
+    rgb.forEach((value, channel) => { bucket.sum[channel] += value; });
+    buckets.set(key, bucket);
+  }
+
+  const colors = [...buckets.values()]
+    .map(({ count, sum }) => ({ count, rgb: sum.map(value => value / count) }))
+    .sort((a, b) => b.count - a.count);
+
+  const dominant = colors[0].rgb;
+  const text = contrastRatio(LIGHT_TEXT, dominant) >= contrastRatio(DARK_TEXT, dominant) ? LIGHT_TEXT : DARK_TEXT;
+
+  // Prefer vivid colors, but a few stray pixels shouldn't win
+  const minCount = (SAMPLE_SIZE * SAMPLE_SIZE) / 200;
+  const accentColor = colors
+    .filter(color => color.count >= minCount && contrastRatio(color.rgb, dominant) >= MIN_ACCENT_CONTRAST)
+    .sort((a, b) => (saturation(b.rgb) + 0.1) * Math.sqrt(b.count) - (saturation(a.rgb) + 0.1) * Math.sqrt(a.count))[0];
+  // Nothing stands out (e.g. a plain cover) - shift the dominant color towards the text color
+  const accent = accentColor ? accentColor.rgb : mix(dominant, text, 0.6);
+
+  // Very mid-tone covers can't reach the text contrast with either color - darken or lighten the background
+  let background = dominant;
+  for (let step = 0; step < 10 && contrastRatio(text, background) < MIN_TEXT_CONTRAST; step++) {
+    background = mix(background, text === LIGHT_TEXT ? [0, 0, 0] : [255, 255, 255], 0.15);
+  }
+
+  return { dominant: toHex(background), accent: toHex(accent), text: toHex(text) };
+}
@@ -0,0 +1,33 @@
+import { randomUUID } from 'crypto';
+import { writeFile, rename, unlink } from 'fs/promises';
+import { dirname, basename, join } from 'path';
+
+// filePath -> the last write queued for it
+const pendingWrites = new Map();
+
+async function writeThenRename(filePath, data, encoding) {
+  const tempPath = join(dirname(filePath), `.${basename(filePath)}.${process.pid}.${randomUUID()}.tmp`);
+
+  try {
+    await writeFile(tempPath, data, encoding);
+    await rename(tempPath, filePath);
+  } catch (error) {
+    await unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+// Write to a temp file next to the target, then rename over it
+// Readers (like OBS) see either the old or the new file, never a half-written one
+// Writes to the same file run one after another, so the last call's data is what ends up on disk
+export function writeFileAtomic(filePath, data, encoding) {
+  const previous = pendingWrites.get(filePath) || Promise.resolve();
+  const write = previous.catch(() => {}).then(() => writeThenRename(filePath, data, encoding));
+  pendingWrites.set(filePath, write);
+
+  const forget = () => {
+    if (pendingWrites.get(filePath) === write) pendingWrites.delete(filePath);
+  };
+  write.then(forget, forget);
+  return write;
+}
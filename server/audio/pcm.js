@@ -0,0 +1,99 @@
+// PCM decoding for the visualizer - everything ends up as mono Float32 samples in -1..1
+
+// Sample formats: bytes per sample and a reader for one sample
+const SAMPLE_FORMATS = {
+  u8: { bytes: 1, read: (buffer, offset) => (buffer.readUInt8(offset) - 128) / 128 },
+  s16le: { bytes: 2, read: (buffer, offset) => buffer.readInt16LE(offset) / 32768 },
+  s24le: { bytes: 3, read: (buffer, offset) => buffer.readIntLE(offset, 3) / 8388608 },
+  s32le: { bytes: 4, read: (buffer, offset) => buffer.readInt32LE(offset) / 2147483648 },
+  f32le: { bytes: 4, read: (buffer, offset) => buffer.readFloatLE(offset) }
+};
+
+export function getFrameBytes({ format, channels }) {
+  return SAMPLE_FORMATS[format].bytes * channels;
+}
+
+// Turns a stream of interleaved PCM chunks into mono samples
+// Chunks from pipes don't line up with frames, so partial frames are kept for the next chunk
+export class PcmDecoder {
+  constructor({ format = 's16le', channels = 2 } = {}) {
+    if (!SAMPLE_FORMATS[format]) {
+      throw new Error(`Unsupported sample format: ${format}`);
+    }
+    this.sampleFormat = SAMPLE_FORMATS[format];
+    this.channels = channels;
+    this.frameBytes = getFrameBytes({ format, channels });
+    this.leftover = Buffer.alloc(0);
+  }
+
+  decode(chunk) {
+    const buffer = this.leftover.length > 0 ? Buffer.concat([this.leftover, chunk]) : chunk;
+    const frames = Math.floor(buffer.length / this.frameBytes);
+    const samples = new Float32Array(frames);
+    const { bytes, read } = this.sampleFormat;
+
+    for (let frame = 0; frame < frames; frame++) {
+      let sum = 0;
+      const offset = frame * this.frameBytes;
+      for (let channel = 0; channel < this.channels; channel++) {
+        sum += read(buffer, offset + channel * bytes);
+      }
+      samples[frame] = sum / this.channels;
+    }
+
+    this.leftover = buffer.subarray(frames * this.frameBytes);
+    return samples;
+  }
+}
+
+// Read a RIFF/WAVE file - { sampleRate, channels, format, data } with data as the raw PCM bytes
+// Supports 8/16/24/32-bit integer and 32-bit float PCM
+export function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = buffer.subarray(offset + 8, offset + 8 + size);
+
+    if (id === 'fmt ') {
+      let audioFormat = body.readUInt16LE(0);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+      if (audioFormat === 0xfffe && body.length >= 26) {
+        audioFormat = body.readUInt16LE(24);
+      }
+      fmt = {
+        audioFormat,
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14)
+      };
+    } else if (id === 'data') {
+      data = body;
+    }
+
+    // Chunks are padded to an even size
+    offset += 8 + size + (size % 2);
+  }
+
+  if (!fmt || !data) {
+    throw new Error('WAV file is missing its fmt or data chunk');
+  }
+
+  let format = null;
+  if (fmt.audioFormat === 1) {
+    format = { 8: 'u8', 16: 's16le', 24: 's24le', 32: 's32le' }[fmt.bitsPerSample];
+  } else if (fmt.audioFormat === 3 && fmt.bitsPerSample === 32) {
+    format = 'f32le';
+  }
+  if (!format) {
+    throw new Error(`Unsupported WAV encoding (format ${fmt.audioFormat}, ${fmt.bitsPerSample}-bit)`);
+  }
+
+  return { sampleRate: fmt.sampleRate, channels: fmt.channels, format, data };
+}
@@ -0,0 +1,139 @@
+import { PcmDecoder, parseWav } from './pcm.js';
+
+const FFT_SIZE = 2048;
+const MIN_FREQUENCY = 40;
+const MAX_FREQUENCY = 16000;
+// Band levels are mapped from this dB range onto 0..1
+const MIN_DB = -70;
+const MAX_DB = -10;
+// How much of the previous level is kept when a band falls (bars rise instantly, fall smoothly)
+const DECAY = 0.75;
+
+// In-place radix-2 FFT - re/im lengths must be a power of two
+export function fft(re, im) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+// Band levels (0..1) from a stream of mono samples
+// Bands are spaced logarithmically like a graphic equalizer, so bass gets as many bars as treble
+export class SpectrumAnalyzer {
+  constructor({ sampleRate = 44100, bands = 12 } = {}) {
+    this.sampleRate = sampleRate;
+    this.bandCount = bands;
+    // The most recent FFT_SIZE samples, oldest first
+    this.samples = new Float32Array(FFT_SIZE);
+    this.window = Float32Array.from({ length: FFT_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FFT_SIZE - 1)));
+    this.windowSum = this.window.reduce((sum, value) => sum + value, 0);
+    this.levels = new Array(bands).fill(0);
+    this.bandBins = this.getBandBins();
+  }
+
+  // [firstBin, lastBin] for every band - each band gets at least one bin
+  getBandBins() {
+    const binWidth = this.sampleRate / FFT_SIZE;
+    const maxFrequency = Math.min(MAX_FREQUENCY, this.sampleRate / 2);
+    const ratio = (maxFrequency / MIN_FREQUENCY) ** (1 / this.bandCount);
+    const bins = [];
+
+    let previousEnd = 0;
+    for (let band = 0; band < this.bandCount; band++) {
+      const low = MIN_FREQUENCY * ratio ** band;
+      const high = low * ratio;
+      const first = Math.max(Math.round(low / binWidth), previousEnd + 1);
+      const last = Math.min(Math.max(Math.round(high / binWidth), first), FFT_SIZE / 2 - 1);
+      bins.push([first, last]);
+      previousEnd = last;
+    }
+    return bins;
+  }
+
+  push(samples) {
+    if (samples.length >= FFT_SIZE) {
+      this.samples.set(samples.subarray(samples.length - FFT_SIZE));
+    } else {
+      this.samples.copyWithin(0, samples.length);
+      this.samples.set(samples, FFT_SIZE - samples.length);
+    }
+  }
+
+  // Analyze the latest samples and return smoothed band levels
+  getLevels() {
+    const re = new Float32Array(FFT_SIZE);
+    const im = new Float32Array(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) {
+      re[i] = this.samples[i] * this.window[i];
+    }
+    fft(re, im);
+
+    this.bandBins.forEach(([first, last], band) => {
+      // Peak amplitude in the band, scaled so a full-scale sine is 1 (0 dB)
+      let peak = 0;
+      for (let bin = first; bin <= last; bin++) {
+        peak = Math.max(peak, Math.hypot(re[bin], im[bin]));
+      }
+      const db = 20 * Math.log10((2 * peak) / this.windowSum + 1e-12);
+      const level = Math.min(Math.max((db - MIN_DB) / (MAX_DB - MIN_DB), 0), 1);
+
+      const previous = this.levels[band];
+      this.levels[band] = level >= previous ? level : previous * DECAY + level * (1 - DECAY);
+    });
+
+    return this.levels.map(level => Math.round(level * 100) / 100);
+  }
+
+  reset() {
+    this.samples.fill(0);
+    this.levels.fill(0);
+  }
+}
+
+// Run a whole WAV file through the analyzer - one set of band levels per frame at the given fps
+// Handy for checking the analysis offline against a known file
+export function analyzeWav(buffer, { bands = 12, fps = 30 } = {}) {
+  const wav = parseWav(buffer);
+  const samples = new PcmDecoder(wav).decode(wav.data);
+  const analyzer = new SpectrumAnalyzer({ sampleRate: wav.sampleRate, bands });
+  const frameSize = Math.round(wav.sampleRate / fps);
+  const frames = [];
+
+  for (let offset = 0; offset < samples.length; offset += frameSize) {
+    analyzer.push(samples.subarray(offset, offset + frameSize));
+    frames.push(analyzer.getLevels());
+  }
+  return frames;
+}
@@ -0,0 +1,221 @@
+import { EventEmitter } from 'events';
+import { readFile } from 'fs/promises';
+import { resolve as resolvePath } from 'path';
+import { HelperProcess } from '../providers/helper-process.js';
+import { PcmDecoder, parseWav, getFrameBytes } from './pcm.js';
+import { SpectrumAnalyzer } from './spectrum.js';
+
+// No spectrum is sent when the capture hasn't delivered audio for this long,
+// so widgets fall back to their own animation instead of freezing
+const STALL_TIMEOUT = 500;
+// How often the WAV backend feeds the next slice of the file
+const WAV_FEED_INTERVAL = 50;
+
+// ffmpeg inputs that capture what the computer is playing, when none is configured
+const DEFAULT_FFMPEG_INPUTS = {
+  win32: ['-f', 'dshow', '-i', 'audio=Stereo Mix'],
+  darwin: ['-f', 'avfoundation', '-i', ':0'],
+  linux: ['-f', 'pulse', '-i', 'default']
+};
+
+// Audio from a helper process that writes raw 16-bit PCM to stdout (restarted with backoff when it exits)
+function openHelper(command, args, options, { onData, onError }) {
+  const helper = new HelperProcess({ command, args, raw: true });
+  helper.on('data', onData);
+  helper.on('error', onError);
+  // A command that can't be started reports 'error' and then exits without a code
+  helper.on('exit', (code) => {
+    if (code !== null) onError(new Error(`${command} exited (code ${code}), restarting...`));
+  });
+  helper.start();
+
+  return {
+    format: { format: 's16le', sampleRate: options.sampleRate, channels: options.channels },
+    stop: () => helper.stop()
+  };
+}
+
+// Where the audio comes from - open(options, handlers) returns { format, stop }
+export const CAPTURE_BACKENDS = [
+  {
+    id: 'pulse',
+    name: 'PulseAudio / PipeWire (Linux)',
+    // The monitor of the default output is what is playing on the speakers
+    open: async (options, handlers) => openHelper('parec', [
+      '--raw', '--format=s16le', `--rate=${options.sampleRate}`, `--channels=${options.channels}`,
+      '--device=@DEFAULT_MONITOR@'
+    ], options, handlers)
+  },
+  {
+    id: 'ffmpeg',
+    name: 'FFmpeg',
+    open: async (options, handlers) => {
+      const input = options.ffmpegInput?.length > 0 ? options.ffmpegInput : DEFAULT_FFMPEG_INPUTS[process.platform];
+      if (!input) {
+        throw new Error(`No default ffmpeg input for ${process.platform} - set ffmpegInput`);
+      }
+      return openHelper('ffmpeg', [
+        '-hide_banner', '-loglevel', 'error', ...input,
+        '-ac', String(options.channels), '-ar', String(options.sampleRate), '-f', 's16le', '-'
+      ], options, handlers);
+    }
+  },
+  {
+    id: 'command',
+    name: 'Custom command',
+    open: async (options, handlers) => {
+      if (!options.command) {
+        throw new Error('No capture command set');
+      }
+      return openHelper(options.command, options.args || [], options, handlers);
+    }
+  },
+  {
+    id: 'stdin',
+    name: 'Standard input',
+    // e.g. parec --raw --format=s16le --rate=44100 --channels=2 | npm start
+    open: async (options, { onData }) => {
+      options.stdin.on('data', onData);
+      options.stdin.resume();
+      return {
+        format: { format: 's16le', sampleRate: options.sampleRate, channels: options.channels },
+        stop: () => {
+          options.stdin.off('data', onData);
+          options.stdin.pause();
+        }
+      };
+    }
+  },
+  {
+    id: 'wav',
+    name: 'WAV file (testing)',
+    // Plays the file in a loop at real-time speed, as if it were coming from the speakers
+    open: async (options, { onData }) => {
+      if (!options.file) {
+        throw new Error('No WAV file set');
+      }
+      const wav = parseWav(await readFile(resolvePath(options.baseDir, options.file)));
+      const frameBytes = getFrameBytes(wav);
+      const bytesPerMs = (wav.sampleRate * frameBytes) / 1000;
+
+      let position = 0;
+      let lastFeedAt = Date.now();
+      const timer = setInterval(() => {
+        const now = Date.now();
+        const length = Math.floor(((now - lastFeedAt) * bytesPerMs) / frameBytes) * frameBytes;
+        lastFeedAt = now;
+
+        let chunk = wav.data.subarray(position, position + length);
+        position += length;
+        if (position >= wav.data.length) {
+          position -= wav.data.length;
+          chunk = Buffer.concat([chunk, wav.data.subarray(0, position)]);
+        }
+        onData(chunk);
+      }, WAV_FEED_INTERVAL);
+
+      return { format: wav, stop: () => clearInterval(timer) };
+    }
+  }
+];
+
+// Captures system audio and emits 'spectrum' with band levels (0..1) about fps times a second
+export class AudioVisualizer extends EventEmitter {
+  constructor({ baseDir, stdin = process.stdin }) {
+    super();
+    this.baseDir = baseDir;
+    this.stdin = stdin;
+    this.config = { enabled: false };
+    this.source = null;
+    this.decoder = null;
+    this.analyzer = null;
+    this.timer = null;
+    this.lastDataAt = 0;
+    this.lastError = null;
+    // Bumped on every restart so a slow open() from an old config is thrown away
+    this.generation = 0;
+  }
+
+  get running() {
+    return this.source !== null;
+  }
+
+  get receiving() {
+    return this.running && Date.now() - this.lastDataAt < STALL_TIMEOUT;
+  }
+
+  // config: { enabled, backend, sampleRate, channels, bands, fps, ffmpegInput, command, args, file }
+  async configure(config) {
+    this.config = config;
+    this.stop();
+    if (config.enabled) {
+      await this.start();
+    }
+  }
+
+  async start() {
+    const generation = ++this.generation;
+    const backend = CAPTURE_BACKENDS.find(b => b.id === this.config.backend);
+    if (!backend) {
+      this.lastError = `Unknown capture backend: ${this.config.backend}`;
+      console.error('Visualizer error:', this.lastError);
+      return;
+    }
+
+    let source;
+    try {
+      source = await backend.open({ ...this.config, baseDir: this.baseDir, stdin: this.stdin }, {
+        onData: (chunk) => this.handleData(chunk),
+        onError: (error) => {
+          this.lastError = error.message;
+          console.error(`Visualizer capture error (${backend.name}):`, error.message);
+        }
+      });
+    } catch (error) {
+      this.lastError = error.message;
+      console.error(`Visualizer capture error (${backend.name}):`, error.message);
+      return;
+    }
+
+    if (generation !== this.generation) {
+      source.stop();
+      return;
+    }
+
+    this.source = source;
+    this.decoder = new PcmDecoder(source.format);
+    this.analyzer = new SpectrumAnalyzer({ sampleRate: source.format.sampleRate, bands: this.config.bands });
+    this.lastError = null;
+    this.timer = setInterval(() => this.tick(), 1000 / (this.config.fps || 30));
+    console.log(`Visualizer capturing from ${backend.name}`);
+  }
+
+  stop() {
+    this.generation++;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.source?.stop();
+    this.source = null;
+    this.lastDataAt = 0;
+  }
+
+  handleData(chunk) {
+    if (!this.decoder) return;
+    this.analyzer.push(this.decoder.decode(chunk));
+    this.lastDataAt = Date.now();
+  }
+
+  tick() {
+    if (this.receiving) {
+      this.emit('spectrum', this.analyzer.getLevels());
+    }
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      receiving: this.receiving,
+      lastError: this.lastError
+    };
+  }
+}
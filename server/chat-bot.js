@@ -0,0 +1,353 @@
+import net from 'net';
+import tls from 'tls';
+import { renderTemplate, truncate } from './text-template.js';
+
+// Twitch drops messages over 500 characters
+const MAX_MESSAGE_LENGTH = 450;
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 60000;
+
+// Permission levels, lowest first - a command can be used by its level and everyone above
+export const CHAT_LEVELS = ['everyone', 'subscriber', 'vip', 'moderator', 'broadcaster'];
+
+function formatRequest(request) {
+  const song = request.title ? [request.artist, request.title].filter(Boolean).join(' - ') : request.text;
+  return `${song} (${request.user})`;
+}
+
+// Every command the bot knows - its defaults can be overridden in the chatBot.commands section of server-config.json
+// run(context, { user, args }) returns { track, fields } for the response, or null for idleResponse
+// An error it throws is sent back with the bot's errorResponse
+export const CHAT_COMMANDS = [
+  {
+    id: 'song',
+    level: 'everyone',
+    cooldown: 10,
+    response: 'Now playing: {artist} - {title}',
+    idleResponse: 'Nothing playing right now',
+    // "What song is this?" - bring an auto-hidden widget back too
+    run: ({ getTrack, showWidget }) => {
+      const track = getTrack();
+      if (!track?.title) return null;
+      showWidget();
+      return { track };
+    }
+  },
+  {
+    id: 'lastsong',
+    level: 'everyone',
+    cooldown: 10,
+    response: 'Last song: {artist} - {title}',
+    idleResponse: 'No songs played yet',
+    run: ({ getLastTrack }) => {
+      const track = getLastTrack();
+      return track ? { track } : null;
+    }
+  },
+  {
+    id: 'queue',
+    level: 'everyone',
+    cooldown: 15,
+    response: 'Up next ({count}): {next}',
+    idleResponse: 'The request queue is empty',
+    run: ({ songRequests }) => {
+      const upNext = songRequests.upNext;
+      if (upNext.length === 0) return null;
+      return { fields: { count: String(upNext.length), next: upNext.slice(0, 3).map(formatRequest).join(', ') } };
+    }
+  },
+  {
+    id: 'sr',
+    level: 'everyone',
+    cooldown: 0,                    // The request queue has its own per-viewer cooldown
+    response: '@{user} added {request} at #{position}',
+    idleResponse: '@{user} usage: !sr Artist - Title',
+    run: async ({ songRequests }, { user, args }) => {
+      if (!args) return null;
+      const request = await songRequests.add({ user, text: args });
+      const song = request.title ? [request.artist, request.title].filter(Boolean).join(' - ') : request.text;
+      return { fields: { request: song, position: String(songRequests.queue.indexOf(request) + 1) } };
+    }
+  },
+  {
+    id: 'skip',
+    level: 'moderator',
+    cooldown: 5,
+    response: 'Skipped {artist} - {title}',
+    idleResponse: '',
+    run: async ({ getTrack, control }) => {
+      const track = getTrack();
+      await control('next');
+      return { track };
+    }
+  },
+  {
+    id: 'pause',
+    level: 'moderator',
+    cooldown: 5,
+    response: 'Paused',
+    idleResponse: '',
+    run: async ({ control }) => {
+      await control('pause');
+      return {};
+    }
+  },
+  {
+    id: 'resume',
+    level: 'moderator',
+    cooldown: 5,
+    response: 'Playing again',
+    idleResponse: '',
+    run: async ({ control }) => {
+      await control('play');
+      return {};
+    }
+  }
+];
+
+// Saved command settings over the defaults - { [id]: { enabled, level, cooldown, response, idleResponse } }
+export function getChatCommandConfig(saved = {}) {
+  const config = {};
+  CHAT_COMMANDS.forEach(({ run, id, ...defaults }) => {
+    config[id] = { enabled: true, ...defaults, ...(saved[id] || {}) };
+  });
+  return config;
+}
+
+// One IRC line - @tags :prefix COMMAND params :trailing
+export function parseIrcMessage(line) {
+  const message = { tags: {}, prefix: '', nick: '', command: '', params: [] };
+  let rest = line;
+
+  if (rest.startsWith('@')) {
+    const end = rest.indexOf(' ');
+    rest.slice(1, end).split(';').forEach(tag => {
+      const [key, value = ''] = tag.split('=');
+      message.tags[key] = value;
+    });
+    rest = rest.slice(end + 1);
+  }
+  if (rest.startsWith(':')) {
+    const end = rest.indexOf(' ');
+    message.prefix = rest.slice(1, end);
+    message.nick = message.prefix.split('!')[0];
+    rest = rest.slice(end + 1);
+  }
+
+  const trailingIndex = rest.indexOf(' :');
+  const trailing = trailingIndex === -1 ? null : rest.slice(trailingIndex + 2);
+  const parts = (trailingIndex === -1 ? rest : rest.slice(0, trailingIndex)).split(' ').filter(Boolean);
+  message.command = (parts.shift() || '').toUpperCase();
+  message.params = trailing === null ? parts : [...parts, trailing];
+  return message;
+}
+
+// Built-in chat bot - answers !song, !lastsong, !queue and !sr, and lets moderators !skip, !pause and !resume
+// Talks plain IRC, so it works with Twitch chat (irc.chat.twitch.tv, badges from IRCv3 tags) and any IRC server
+// context: { getTrack, getLastTrack, songRequests, control(action), showWidget() }
+export class ChatBot {
+  constructor(context) {
+    this.context = context;
+    this.config = { enabled: false };
+    this.commands = getChatCommandConfig();
+    this.socket = null;
+    this.buffer = '';
+    this.connected = false;
+    this.stopped = true;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.lastError = null;
+    // command id -> time it was last used (moderators skip cooldowns)
+    this.lastUsed = new Map();
+  }
+
+  get channel() {
+    return `#${(this.config.channel || '').replace(/^#/, '').toLowerCase()}`;
+  }
+
+  // config: { enabled, host, port, tls, username, password, channel, prefix, moderators, errorResponse, commands }
+  configure(config) {
+    this.config = config;
+    this.commands = getChatCommandConfig(config.commands);
+    this.stop();
+    if (!config.enabled) return;
+
+    if (!config.host || !config.username || !config.channel) {
+      this.lastError = 'Set the server, bot name and channel first';
+      return;
+    }
+    this.start();
+  }
+
+  start() {
+    this.stopped = false;
+    this.reconnectAttempts = 0;
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.connected = false;
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on('error', () => {});
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+
+  connect() {
+    const { host, port, username, password } = this.config;
+    const socket = this.config.tls
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    this.socket = socket;
+    this.buffer = '';
+
+    socket.setEncoding('utf8');
+    socket.on(this.config.tls ? 'secureConnect' : 'connect', () => {
+      // Twitch sends badges and mod status as tags - other servers just refuse the capability
+      this.send('CAP REQ :twitch.tv/tags twitch.tv/commands');
+      if (password) {
+        this.send(`PASS ${password}`);
+      }
+      this.send(`NICK ${username}`);
+      this.send(`USER ${username} 0 * :${username}`);
+      this.send('CAP END');
+    });
+    socket.on('data', (chunk) => this.handleData(chunk));
+    socket.on('error', (error) => {
+      this.lastError = error.message;
+      console.error('Chat bot error:', error.message);
+    });
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.connected = false;
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (this.stopped) return;
+    const delay = Math.min(RECONNECT_DELAY * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY);
+    this.reconnectAttempts++;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.stopped) this.connect();
+    }, delay);
+  }
+
+  send(line) {
+    this.socket?.write(`${line}\r\n`);
+  }
+
+  say(text) {
+    // A newline would end the message and start a raw IRC command
+    const message = truncate(text.replace(/[\r\n]+/g, ' ').trim(), MAX_MESSAGE_LENGTH);
+    if (message) {
+      this.send(`PRIVMSG ${this.channel} :${message}`);
+    }
+  }
+
+  handleData(chunk) {
+    this.buffer += chunk;
+
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.indexOf('\n')) >= 0) {
+      const line = this.buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+      if (line) {
+        this.handleMessage(parseIrcMessage(line));
+      }
+    }
+  }
+
+  handleMessage(message) {
+    switch (message.command) {
+      case 'PING':
+        this.send(`PONG :${message.params[0] || ''}`);
+        break;
+      case '001':
+        // Logged in
+        this.connected = true;
+        this.reconnectAttempts = 0;
+        this.lastError = null;
+        this.send(`JOIN ${this.channel}`);
+        console.log(`Chat bot joined ${this.channel}`);
+        break;
+      case 'NOTICE':
+        // Twitch reports a bad token as a NOTICE and then closes the connection
+        if (/authentication failed|improperly formatted auth/i.test(message.params[1] || '')) {
+          this.lastError = message.params[1];
+        }
+        break;
+      case 'RECONNECT':
+        this.socket?.destroy();
+        break;
+      case 'PRIVMSG':
+        if (message.params[0]?.toLowerCase() === this.channel) {
+          this.handleChat(message).catch(error => console.error('Chat command error:', error.message));
+        }
+        break;
+    }
+  }
+
+  getUserLevel(message) {
+    const nick = message.nick.toLowerCase();
+    const badges = (message.tags.badges || '').split(',').map(badge => badge.split('/')[0]);
+
+    if (badges.includes('broadcaster') || `#${nick}` === this.channel) return 'broadcaster';
+    if (message.tags.mod === '1' || badges.includes('moderator') ||
+      (this.config.moderators || []).some(name => name.toLowerCase() === nick)) {
+      return 'moderator';
+    }
+    if (badges.includes('vip')) return 'vip';
+    if (message.tags.subscriber === '1' || badges.includes('subscriber') || badges.includes('founder')) return 'subscriber';
+    return 'everyone';
+  }
+
+  async handleChat(message, now = Date.now()) {
+    const text = message.params[1] || '';
+    const prefix = this.config.prefix || '!';
+    if (!text.startsWith(prefix)) return;
+
+    const [name, ...words] = text.slice(prefix.length).trim().split(/\s+/);
+    const id = name.toLowerCase();
+    const command = CHAT_COMMANDS.find(c => c.id === id);
+    const options = this.commands[id];
+    if (!command || !options?.enabled) return;
+
+    const level = this.getUserLevel(message);
+    if (CHAT_LEVELS.indexOf(level) < CHAT_LEVELS.indexOf(options.level)) return;
+
+    const isModerator = CHAT_LEVELS.indexOf(level) >= CHAT_LEVELS.indexOf('moderator');
+    if (!isModerator && now - (this.lastUsed.get(id) || 0) < options.cooldown * 1000) return;
+    this.lastUsed.set(id, now);
+
+    // Twitch shows the display name with its capitals
+    const user = message.tags['display-name'] || message.nick;
+    const fields = { user };
+    try {
+      const result = await command.run(this.context, { user, args: words.join(' ') });
+      if (!result) {
+        this.say(renderTemplate(options.idleResponse, null, fields));
+      } else {
+        this.say(renderTemplate(options.response, result.track || null, { ...fields, ...result.fields }));
+      }
+    } catch (error) {
+      this.say(renderTemplate(this.config.errorResponse || '@{user} {error}', null, { ...fields, error: error.message }));
+    }
+  }
+
+  getStatus() {
+    return {
+      running: !this.stopped,
+      connected: this.connected,
+      channel: this.config.channel ? this.channel : null,
+      lastError: this.lastError
+    };
+  }
+}
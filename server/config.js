@@ -0,0 +1,252 @@
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFile } from 'fs/promises';
+import { writeFileAtomic } from './atomic-file.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const SERVER_CONFIG_FILE = join(__dirname, '../server-config.json');
+
+// Default server configuration - each feature owns one top-level section
+export const DEFAULT_SERVER_CONFIG = {
+  security: {
+    adminToken: '',                 // When set, /config and every change need it (Bearer token, Basic auth password or ?token=)
+    readTokens: [],                 // With an admin token: when not empty, widgets and read-only endpoints need one of these too
+    bindAddress: '',                // Network interface to listen on - '' for all, '127.0.0.1' for this PC only
+    corsOrigins: [],                // Other websites allowed to call the API from their pages, '*' for any
+    uploadRateLimit: {              // Theme uploads and pinned album art per address
+      max: 10,
+      windowSeconds: 60
+    }
+  },
+  providers: {
+    active: 'auto',                 // 'auto' or a provider id that is always asked first
+    priority: ['windows', 'mpris'], // Fallback order when the active provider has nothing playing
+    mprisBusAddress: ''             // D-Bus session bus for MPRIS, e.g. unix:path=/run/user/1000/bus - '' for the default
+  },
+  sessions: {
+    allowlist: [],                  // When not empty, only these apps (by appName) are shown
+    blocklist: [],                  // Apps that are never shown
+    preferredApp: ''                // App that wins whenever it has a track
+  },
+  fileOutput: {
+    enabled: false,
+    directory: 'obs-output',        // Relative paths are resolved from the project root
+    idleMode: 'clear',              // 'clear', 'placeholder' or 'keep' when nothing is playing
+    idleText: '',                   // Placeholder text (idleMode 'placeholder')
+    files: [
+      { name: 'title.txt', format: '{title}' },
+      { name: 'artist.txt', format: '{artist}' },
+      { name: 'album.txt', format: '{album}' },
+      { name: 'nowplaying.txt', format: '{artist} - {title}' }
+    ],
+    cover: {
+      enabled: true,
+      name: 'cover.jpg',
+      placeholder: ''               // Image copied in when idle (idleMode 'placeholder')
+    }
+  },
+  metadata: {
+    enabled: true,
+    builtins: {                     // Built-in cleanup rules, all on by default
+      videoTags: true,
+      topicSuffix: true,
+      artistInTitle: true,
+      featuring: true
+    },
+    rules: [],                      // { field: 'title'|'artist'|'album'|'any', pattern, flags, replacement }
+    renames: []                     // { match: { title, artist }, title, artist, album } - matched against the raw names
+  },
+  albumArt: {
+    minScore: 0.6,                  // Lookup results scoring lower (0..1) are rejected as the wrong album
+    resolvers: [                    // Asked in this order until one finds a good match
+      { id: 'local', enabled: true, timeout: 1000, directory: 'album-art' },
+      { id: 'itunes', enabled: true, timeout: 3000, baseUrl: 'https://itunes.apple.com' },
+      { id: 'deezer', enabled: true, timeout: 3000, baseUrl: 'https://api.deezer.com' },
+      { id: 'musicbrainz', enabled: true, timeout: 5000, baseUrl: 'https://musicbrainz.org', coverArtUrl: 'https://coverartarchive.org' }
+    ]
+  },
+  lyrics: {
+    enabled: false,                 // Look up synced lyrics for widgets with a #lyrics element
+    minScore: 0.8,                  // Lyrics for a different song are worse than none, so this is stricter than album art
+    resolvers: [                    // Asked in this order until one has synced lyrics
+      { id: 'local', enabled: true, timeout: 1000, directory: 'lyrics' },
+      { id: 'lrclib', enabled: true, timeout: 5000, baseUrl: 'https://lrclib.net' }
+    ]
+  },
+  visualizer: {
+    enabled: false,                 // Drive the widget's bars from real audio instead of the built-in animation
+    backend: 'pulse',               // 'pulse', 'ffmpeg', 'command', 'stdin' or 'wav'
+    sampleRate: 44100,              // Captured audio is raw 16-bit little-endian PCM in this format
+    channels: 2,
+    bands: 12,                      // Frequency bands sent to widgets
+    fps: 30,                        // Spectrum messages per second
+    ffmpegInput: [],                // 'ffmpeg' input arguments, e.g. ["-f", "dshow", "-i", "audio=Stereo Mix"] - empty for the platform default
+    command: '',                    // 'command': any program that writes raw PCM to stdout
+    args: [],
+    file: ''                        // 'wav': WAV file played in a loop, for testing
+  },
+  requests: {
+    enabled: true,                  // Take new song requests (the queue can still be managed while closed)
+    requireApproval: false,         // New requests wait for a moderator before they are up next
+    maxPerUser: 2,                  // Open requests one viewer can have at a time, 0 for no limit
+    cooldown: 60,                   // Seconds between two requests from the same viewer
+    maxQueueLength: 50,             // 0 for no limit
+    allowLinks: true,               // YouTube, Spotify and SoundCloud links are looked up for their title
+    linkTimeout: 3000               // Milliseconds to wait for a link's title
+  },
+  chatBot: {
+    enabled: false,
+    host: 'irc.chat.twitch.tv',     // Any IRC server works, e.g. a local one for testing
+    port: 6697,
+    tls: true,
+    username: '',                   // The bot's account name
+    password: '',                   // Twitch: an oauth:... chat token for that account
+    channel: '',                    // Channel to join, without the #
+    prefix: '!',
+    moderators: [],                 // Extra moderators by name, for servers without Twitch badges
+    errorResponse: '@{user} {error}',
+    commands: {}                    // Overrides of CHAT_COMMANDS in chat-bot.js - { song: { enabled, level, cooldown, response, idleResponse } }
+  },
+  webhooks: {
+    hooks: [],                      // { id, name, url, events, format: 'json'|'discord', secret, enabled }
+    publicUrl: '',                  // How receivers reach this server (e.g. http://192.168.1.20:3000) - album art links need it
+    timeout: 5000,                  // Milliseconds to wait for a receiver
+    maxAttempts: 5                  // Tries per delivery before it counts as failed
+  },
+  obs: {
+    enabled: false,
+    url: 'ws://127.0.0.1:4455',     // obs-websocket server (Tools > WebSocket Server Settings in OBS)
+    password: '',
+    widgetSource: 'Noteworthy',     // Name of the widget's browser source in OBS
+    syncSize: false,                // Set that source's width and height whenever the widget's canvasSize is saved
+    sceneRules: [],                 // { scene, widget: 'show'|'hide' } - applied when the scene goes live
+    eventRules: []                  // { event, delay, action, scene, source, filter } - OBS_ACTIONS in obs.js run on TRACK_EVENTS
+  },
+  scrobbling: {
+    lastfm: {
+      enabled: false,
+      apiKey: '',                   // From https://www.last.fm/api/account/create
+      apiSecret: '',
+      sessionKey: '',               // Filled in by logging in from the config page
+      username: '',
+      baseUrl: 'https://ws.audioscrobbler.com/2.0/'
+    },
+    listenbrainz: {
+      enabled: false,
+      token: '',                    // From https://listenbrainz.org/settings/
+      baseUrl: 'https://api.listenbrainz.org'
+    }
+  }
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merge changes over values field by field - nested objects (security.uploadRateLimit, metadata.builtins)
+// keep the fields changes leave out, arrays and everything else are replaced
+export function mergeConfigValues(values, changes) {
+  if (!isPlainObject(values) || !isPlainObject(changes)) {
+    return changes === undefined ? values : changes;
+  }
+  const merged = { ...values };
+  for (const [key, value] of Object.entries(changes)) {
+    merged[key] = mergeConfigValues(values[key], value);
+  }
+  return merged;
+}
+
+// Merge saved config over the defaults, one section at a time
+function mergeConfig(defaults, saved) {
+  const merged = {};
+  for (const [section, values] of Object.entries(defaults)) {
+    merged[section] = mergeConfigValues(values, saved?.[section] || {});
+  }
+  return merged;
+}
+
+// section -> keys set from environment variables, which are never written to the config file
+const envOverrides = {};
+
+function setFromEnv(config, section, key, value) {
+  config[section][key] = value;
+  (envOverrides[section] ||= new Set()).add(key);
+}
+
+// Environment variables win over the config file
+function applyEnvOverrides(config) {
+  if (process.env.NOTEWORTHY_PROVIDER) {
+    setFromEnv(config, 'providers', 'active', process.env.NOTEWORTHY_PROVIDER.trim());
+  }
+  if (process.env.NOTEWORTHY_PROVIDER_PRIORITY) {
+    setFromEnv(config, 'providers', 'priority', process.env.NOTEWORTHY_PROVIDER_PRIORITY
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean));
+  }
+  if (process.env.NOTEWORTHY_ADMIN_TOKEN) {
+    setFromEnv(config, 'security', 'adminToken', process.env.NOTEWORTHY_ADMIN_TOKEN.trim());
+  }
+  if (process.env.NOTEWORTHY_READ_TOKENS) {
+    setFromEnv(config, 'security', 'readTokens', process.env.NOTEWORTHY_READ_TOKENS
+      .split(',')
+      .map(token => token.trim())
+      .filter(Boolean));
+  }
+  if (process.env.NOTEWORTHY_BIND) {
+    setFromEnv(config, 'security', 'bindAddress', process.env.NOTEWORTHY_BIND.trim());
+  }
+  if (process.env.NOTEWORTHY_VISUALIZER) {
+    setFromEnv(config, 'visualizer', 'enabled', true);
+    setFromEnv(config, 'visualizer', 'backend', process.env.NOTEWORTHY_VISUALIZER.trim());
+  }
+  return config;
+}
+
+// Read the server config file (missing file means defaults)
+export async function readServerConfig() {
+  let saved = {};
+  try {
+    const content = await readFile(SERVER_CONFIG_FILE, 'utf-8');
+    saved = JSON.parse(content);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+  }
+  return applyEnvOverrides(mergeConfig(DEFAULT_SERVER_CONFIG, saved));
+}
+
+// Saves run one after another - each reads the file the last one wrote, so none loses another's section
+let configWrites = Promise.resolve();
+
+async function writeSection(section, values) {
+  let saved = {};
+  try {
+    saved = JSON.parse(await readFile(SERVER_CONFIG_FILE, 'utf-8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+  }
+  // Values from environment variables stay out of the file - it keeps whatever was saved before
+  const fileValues = { ...values };
+  for (const key of envOverrides[section] || []) {
+    if (saved[section] && key in saved[section]) {
+      fileValues[key] = saved[section][key];
+    } else {
+      delete fileValues[key];
+    }
+  }
+  saved[section] = fileValues;
+  await writeFileAtomic(SERVER_CONFIG_FILE, JSON.stringify(saved, null, 2), 'utf-8');
+}
+
+// Persist one section of the server config, keeping the others untouched
+export function writeServerConfigSection(section, values) {
+  const write = configWrites.catch(() => {}).then(() => writeSection(section, values));
+  configWrites = write;
+  return write;
+}
@@ -0,0 +1,110 @@
+import { mkdir, readFile, unlink } from 'fs/promises';
+import { join, resolve, basename } from 'path';
+import fetch from 'node-fetch';
+import { writeFileAtomic } from './atomic-file.js';
+import { renderNowPlaying } from './text-template.js';
+import { ArtCache } from './art-cache.js';
+
+// Writes now playing text files and album art into a folder for OBS Text/Image sources
+// Called on the same state changes that are broadcast to widgets
+export class FileOutput {
+  constructor(baseDir, artCache = null) {
+    this.baseDir = baseDir;
+    this.artCache = artCache;
+    this.config = null;
+    this.lastTexts = new Map();
+    this.lastCoverUrl = undefined;
+    // A cover host that never answers would otherwise hold up every later write
+    this.imageTimeout = 5000;
+    // Writes run one at a time so a slow cover download can't reorder them
+    this.queue = Promise.resolve();
+  }
+
+  configure(config) {
+    this.config = config;
+    // Force a full rewrite with the new settings
+    this.lastTexts.clear();
+    this.lastCoverUrl = undefined;
+  }
+
+  get enabled() {
+    return Boolean(this.config?.enabled && this.config.directory);
+  }
+
+  get directory() {
+    return resolve(this.baseDir, this.config.directory);
+  }
+
+  update(track) {
+    if (!this.enabled) return this.queue;
+
+    this.queue = this.queue
+      .then(() => this.write(track))
+      .catch((error) => console.error('File output error:', error.message));
+    return this.queue;
+  }
+
+  async write(track) {
+    const idle = !track || !track.title;
+    const idleMode = this.config.idleMode || 'clear';
+    if (idle && idleMode === 'keep') return;
+
+    await mkdir(this.directory, { recursive: true });
+
+    for (const file of this.config.files || []) {
+      const text = idle
+        ? (idleMode === 'placeholder' ? (file.idle ?? this.config.idleText ?? '') : '')
+        : renderNowPlaying({ format: file.format, paused: file.paused }, track);
+      await this.writeText(file.name, text);
+    }
+
+    if (this.config.cover?.enabled) {
+      await this.writeCover(idle ? null : track.albumArt, idleMode);
+    }
+  }
+
+  async writeText(name, text) {
+    // File names only - never write outside the output folder
+    const fileName = basename(name || '');
+    if (!fileName || this.lastTexts.get(fileName) === text) return;
+
+    await writeFileAtomic(join(this.directory, fileName), text, 'utf-8');
+    this.lastTexts.set(fileName, text);
+  }
+
+  async writeCover(albumArt, idleMode) {
+    const coverName = basename(this.config.cover.name || 'cover.jpg');
+    const coverPath = join(this.directory, coverName);
+    if (albumArt === this.lastCoverUrl) return;
+
+    if (albumArt) {
+      await writeFileAtomic(coverPath, await this.loadImage(albumArt));
+    } else if (idleMode === 'placeholder' && this.config.cover.placeholder) {
+      await writeFileAtomic(coverPath, await readFile(resolve(this.baseDir, this.config.cover.placeholder)));
+    } else {
+      await unlink(coverPath).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+
+    this.lastCoverUrl = albumArt;
+  }
+
+  // Album art is a cached /api/art URL, a data URI (from the player) or a remote URL
+  async loadImage(albumArt) {
+    if (this.artCache && ArtCache.isCacheUrl(albumArt)) {
+      return this.artCache.read(albumArt);
+    }
+
+    const dataMatch = albumArt.match(/^data:[^;]+;base64,(.*)$/);
+    if (dataMatch) {
+      return Buffer.from(dataMatch[1], 'base64');
+    }
+
+    const response = await fetch(albumArt, { signal: AbortSignal.timeout(this.imageTimeout) });
+    if (!response.ok) {
+      throw new Error(`Album art download failed (${response.status})`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+}
@@ -0,0 +1,153 @@
+import { readFile, appendFile } from 'fs/promises';
+import { writeFileAtomic } from './atomic-file.js';
+
+const CSV_COLUMNS = ['startedAt', 'endedAt', 'title', 'artist', 'album', 'app', 'source', 'playedSeconds', 'durationSeconds'];
+
+function csvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas - a leading ' shows them as text
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Persistent play history - one JSON line per play
+// Plays are appended when they start and the file is rewritten once their played time is known
+export class HistoryStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = [];
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const content = await readFile(this.filePath, 'utf-8');
+      this.entries = content
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (e) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+  }
+
+  // Hook up to a PlayTracker
+  attach(playTracker) {
+    this.playTracker = playTracker;
+    playTracker.on('start', (play) => this.addPlay(play));
+    playTracker.on('end', (play) => this.finishPlay(play));
+  }
+
+  addPlay(play) {
+    const entry = {
+      id: play.id,
+      title: play.title,
+      artist: play.artist,
+      album: play.album,
+      app: play.appName,
+      source: play.source,
+      startedAt: play.startedAt,
+      endedAt: null,
+      playedMs: 0,
+      duration: play.duration
+    };
+    this.entries.push(entry);
+
+    this.saving = this.saving
+      .then(() => appendFile(this.filePath, JSON.stringify(entry) + '\n', 'utf-8'))
+      .catch((error) => console.error('History write error:', error.message));
+  }
+
+  finishPlay(play) {
+    const entry = this.entries.find(e => e.id === play.id);
+    if (!entry) return;
+
+    entry.endedAt = play.endedAt;
+    entry.playedMs = play.playedMs;
+    entry.duration = play.duration;
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), 1000);
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const content = this.entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    this.saving = this.saving
+      .then(() => writeFileAtomic(this.filePath, content, 'utf-8'))
+      .catch((error) => console.error('History write error:', error.message));
+    return this.saving;
+  }
+
+  // Entry with live played time for the track that is still playing
+  withLiveProgress(entry) {
+    const current = this.playTracker?.current;
+    if (!entry.endedAt && current?.id === entry.id) {
+      return { ...entry, playedMs: current.playedMs };
+    }
+    return entry;
+  }
+
+  // Newest first. from/to/at are dates, q searches title/artist/album/app
+  query({ from, to, at, q, limit, offset = 0 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const atTime = at ? new Date(at).getTime() : null;
+    const search = q ? q.toLowerCase() : null;
+
+    const matches = [];
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      const started = new Date(entry.startedAt).getTime();
+      // A play without an end lasts until the next one started
+      const ended = entry.endedAt
+        ? new Date(entry.endedAt).getTime()
+        : (this.entries[i + 1] ? new Date(this.entries[i + 1].startedAt).getTime() : Date.now());
+
+      if (fromTime !== null && ended < fromTime) continue;
+      if (toTime !== null && started > toTime) continue;
+      if (atTime !== null && (atTime < started || atTime >= ended)) continue;
+      if (search && ![entry.title, entry.artist, entry.album, entry.app].some(v => (v || '').toLowerCase().includes(search))) continue;
+
+      matches.push(this.withLiveProgress(entry));
+    }
+
+    return {
+      total: matches.length,
+      entries: limit ? matches.slice(offset, offset + limit) : matches.slice(offset)
+    };
+  }
+
+  toCsv(entries) {
+    const rows = entries.map(entry => [
+      entry.startedAt,
+      entry.endedAt,
+      entry.title,
+      entry.artist,
+      entry.album,
+      entry.app,
+      entry.source,
+      Math.round(entry.playedMs / 1000),
+      Math.round((entry.duration || 0) / 1000)
+    ].map(csvValue).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+}
@@ -4,9 +4,34 @@ import { createServer } from 'http';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readdir, readFile, writeFile, unlink, mkdir, stat } from 'fs/promises';
+import { randomUUID } from 'crypto';
 import multer from 'multer';
 import sanitizeHtml from 'sanitize-html';
 import { WindowsMediaProvider } from './providers/windows-media.js';
+import { MprisMediaProvider } from './providers/mpris.js';
+import { ProviderRegistry } from './providers/registry.js';
+import { SessionSelector } from './providers/session-selector.js';
+import { readServerConfig, writeServerConfigSection, mergeConfigValues, DEFAULT_SERVER_CONFIG } from './config.js';
+import { renderNowPlaying, truncate, DEFAULT_TEXT_FORMAT } from './text-template.js';
+import { FileOutput } from './file-output.js';
+import { ArtCache, MIN_ART_SIZE, MAX_ART_SIZE } from './art-cache.js';
+import { AlbumArtResolver, ART_RESOLVERS } from './album-art/resolver.js';
+import { MetadataCleaner, BUILTIN_RULES, METADATA_FIELDS } from './metadata-cleaner.js';
+import { LyricsResolver, LYRICS_RESOLVERS } from './lyrics/resolver.js';
+import { AudioVisualizer, CAPTURE_BACKENDS } from './audio/visualizer.js';
+import { PlayTracker } from './play-tracker.js';
+import { HistoryStore } from './history.js';
+import { Scrobbler } from './scrobbler.js';
+import { LastFmService } from './scrobblers/lastfm.js';
+import { ListenBrainzService } from './scrobblers/listenbrainz.js';
+import { TrackChangeDetector, TrackEventClassifier, TRACK_EVENTS } from './track-changes.js';
+import { WidgetInstanceStore, DEFAULT_WIDGET_STATE } from './widget-instances.js';
+import { StreamSessionStore, SESSION_EXPORT_FORMATS, toYouTubeChapters, toCueSheet, toMarkdown } from './stream-session.js';
+import { SongRequestQueue, REQUEST_ACTIONS } from './song-requests.js';
+import { ChatBot, CHAT_LEVELS, getChatCommandConfig } from './chat-bot.js';
+import { WebhookDispatcher, WEBHOOK_FORMATS } from './webhooks.js';
+import { ObsController, OBS_ACTIONS } from './obs.js';
+import { AccessControl, RateLimiter, rateLimit } from './security.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,7 +44,21 @@ const PORT = process.env.PORT || 3000;
 const THEMES_DIR = join(__dirname, '../themes');
 const PRESETS_FILE = join(__dirname, '../theme-presets.json');
 const WIDGET_STATE_FILE = join(__dirname, '../widget-state.json');
+const WIDGET_INSTANCES_FILE = join(__dirname, '../widget-instances.json');
+const TEXT_TEMPLATES_FILE = join(__dirname, '../text-templates.json');
+const HISTORY_FILE = join(__dirname, '../play-history.jsonl');
+const ART_CACHE_DIR = join(__dirname, '../art-cache');
+const ART_OVERRIDES_FILE = join(__dirname, '../art-overrides.json');
+const STREAM_SESSIONS_FILE = join(__dirname, '../stream-sessions.json');
+const SCROBBLE_QUEUE_FILE = join(__dirname, '../scrobble-queue.json');
+const SONG_REQUESTS_FILE = join(__dirname, '../song-requests.json');
 const BUILTIN_THEMES = ['glass', 'dark', 'light', 'vaporwave', 'retro', 'custom'];
+// How long POST /api/widget/show brings hidden widgets back for
+const DEFAULT_SHOW_SECONDS = 10;
+const MAX_SHOW_SECONDS = 300;
+// Entries per page of GET /api/history
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 1000;
 
 // Theme upload configuration
 const themeStorage = multer.diskStorage({
@@ -47,7 +86,11 @@ const themeUpload = multer({
   }
 });
 
+// Elements a theme may leave out - the widget skips the feature when they're missing
+const OPTIONAL_THEME_IDS = ['lyrics'];
+
 // Theme validation - check for required element IDs
+// Valid results list the optional elements the theme has in `features`
 function validateTheme(html) {
   const requiredIds = [
     'widget-container', 'idle-state', 'track-content',
@@ -74,7 +117,7 @@ function validateTheme(html) {
     }
   }
 
-  return { valid: true };
+  return { valid: true, features: OPTIONAL_THEME_IDS.filter(id => html.includes(`id="${id}"`)) };
 }
 
 // Sanitize theme HTML
@@ -119,93 +162,370 @@ function extractThemeMetadata(html) {
   return metadata;
 }
 
+// Server configuration (server-config.json + environment overrides)
+const serverConfig = await readServerConfig();
+
+// Admin and read tokens, CORS and upload limits - changed in server-config.json, applied on restart
+const accessControl = new AccessControl(serverConfig.security);
+const uploadLimiter = new RateLimiter(serverConfig.security.uploadRateLimit);
+if (serverConfig.security.readTokens.length > 0 && !accessControl.adminRequired) {
+  console.warn('Read tokens are ignored until an admin token is set');
+}
+
 // Middleware
+app.use(accessControl.cors());
+app.use(accessControl.authorize());
 app.use(express.json());
 app.use(express.static(join(__dirname, '../public')));
 
-// Windows Media provider
-const mediaProvider = new WindowsMediaProvider();
+// Title/artist cleanup between the providers and the widget
+const metadataCleaner = new MetadataCleaner();
+metadataCleaner.configure(serverConfig.metadata);
+
+// Album art lookup chain for tracks without art, plus art pinned to specific tracks
+const artResolver = new AlbumArtResolver({ baseDir: join(__dirname, '..'), overridesFile: ART_OVERRIDES_FILE });
+artResolver.configure({ ...serverConfig.albumArt, resolvers: getArtResolverConfig(serverConfig.albumArt.resolvers) });
+await artResolver.loadOverrides();
+
+// Synced lyrics lookup - sent to widgets in their own message once found
+const lyricsResolver = new LyricsResolver({ baseDir: join(__dirname, '..') });
+lyricsResolver.configure({ ...serverConfig.lyrics, resolvers: getLyricsResolverConfig(serverConfig.lyrics.resolvers) });
+
+// Media providers - asked in priority order with fallback
+const providerRegistry = new ProviderRegistry({ metadataCleaner, artResolver });
+providerRegistry.register(new WindowsMediaProvider());
+providerRegistry.register(new MprisMediaProvider({ busAddress: serverConfig.providers.mprisBusAddress }));
+providerRegistry.configure(serverConfig.providers);
+providerRegistry.selector.configure(serverConfig.sessions);
+
+// Album art is cached on disk and served from /api/art instead of being sent inline
+const artCache = new ArtCache(ART_CACHE_DIR);
+await artCache.init();
+
+// Now playing text/image files for OBS Text and Image sources
+const fileOutput = new FileOutput(join(__dirname, '..'), artCache);
+fileOutput.configure(serverConfig.fileOutput);
+
+// Plays with the time actually listened, kept in the play history log
+const playTracker = new PlayTracker();
+const historyStore = new HistoryStore(HISTORY_FILE);
+await historyStore.load();
+historyStore.attach(playTracker);
+
+// Named widget instances (/widget/:instance), each with its own look and optionally its own app filter
+const widgetInstances = new WidgetInstanceStore(WIDGET_INSTANCES_FILE);
+await widgetInstances.load();
+
+// Stream sessions for VOD tracklists
+const streamSessions = new StreamSessionStore(STREAM_SESSIONS_FILE);
+await streamSessions.load();
+streamSessions.attach(playTracker);
+
+// Song requests from chat - marked as played when a matching track starts
+const songRequests = new SongRequestQueue(SONG_REQUESTS_FILE);
+songRequests.configure(serverConfig.requests);
+await songRequests.load();
+songRequests.attach(playTracker);
+songRequests.on('change', () => broadcast(getRequestsMessage(), client => client.view === 'queue'));
+
+// Built-in chat bot - !song, !lastsong, !queue, !sr, and !skip / !pause / !resume for moderators
+const chatBot = new ChatBot({
+  getTrack: () => mainFeed.track,
+  // The newest play that isn't the one still going
+  getLastTrack: () => historyStore.entries.findLast(entry => entry.id !== playTracker.current?.id) || null,
+  songRequests,
+  control: async (action) => {
+    const result = await runControlCommand(action);
+    if (!result.body.success) {
+      throw new Error(result.body.error);
+    }
+  },
+  showWidget: () => broadcast({ type: 'show', data: { seconds: DEFAULT_SHOW_SECONDS } })
+});
+chatBot.configure(serverConfig.chatBot);
+
+// Outbound webhooks for track and playback events (Discord, home automation...)
+const webhooks = new WebhookDispatcher();
+webhooks.configure(serverConfig.webhooks);
+// Webhooks and OBS rules react to the main feed's changes as named events
+const trackEvents = new TrackEventClassifier();
+
+// Scene-aware OBS control through obs-websocket
+const obs = new ObsController();
+obs.configure(serverConfig.obs);
+
+// Last.fm / ListenBrainz scrobbling with an offline queue
+const lastFm = new LastFmService();
+const scrobbler = new Scrobbler(SCROBBLE_QUEUE_FILE, [lastFm, new ListenBrainzService()]);
+await scrobbler.load();
+scrobbler.configure(serverConfig.scrobbling);
+scrobbler.attach(playTracker);
+
+// Audio-reactive visualizer - band levels from captured system audio
+const audioVisualizer = new AudioVisualizer({ baseDir: join(__dirname, '..') });
+audioVisualizer.on('spectrum', (bands) => broadcast({ type: 'spectrum', data: bands }));
+await audioVisualizer.configure(serverConfig.visualizer);
+
+// Event-driven providers push changes instead of waiting for the next poll
+providerRegistry.on('change', () => pollCurrentTrack());
 
-let currentTrack = null;
 let pollingInterval = null;
+let pollInProgress = false;
+let pollQueued = false;
+
+// A track feed is what a group of widgets follows: the track they were last sent, its lyrics
+// (once found) and the change detection deciding when to send the next one
+// The main feed uses the Media Source settings; instances with their own app filter get a feed each
+function createTrackFeed(name = null) {
+  return { name, filter: null, selector: null, changes: new TrackChangeDetector(), track: null, lyrics: null };
+}
 
-// State tracking for change detection
-let lastTrackId = null;
-let lastPlayingState = null;
-let lastProgressMs = null;
+const mainFeed = createTrackFeed();
+// Instance name -> feed, for instances with their own app filter
+const instanceFeeds = new Map();
 
 // WebSocket connections
 const clients = new Set();
 
-wss.on('connection', (ws) => {
+// Widgets connect with ?instance=name - other clients follow the main feed
+function getClientFeed(client) {
+  return instanceFeeds.get(client.instance) || mainFeed;
+}
+
+function sendFeed(ws, feed) {
+  if (feed.track) {
+    ws.send(JSON.stringify({ type: 'track', data: feed.track }));
+  }
+  if (feed.lyrics) {
+    ws.send(JSON.stringify({ type: 'lyrics', data: feed.lyrics }));
+  }
+}
+
+// What the /widget/queue page shows - approved requests, next one first
+function getRequestsMessage() {
+  return { type: 'requests', data: { upNext: songRequests.upNext } };
+}
+
+wss.on('connection', (ws, req) => {
+  // With read tokens set, widgets connect with the page's ?token= (or its cookie)
+  const access = accessControl.authorizeSocket(req);
+  if (!access.allowed) {
+    ws.close(1008, 'A read token is needed');
+    return;
+  }
+  ws.isAdmin = access.admin;
+
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  ws.instance = params.get('instance');
+  // Pages other than the widget say which one they are (?view=queue)
+  ws.view = params.get('view');
   clients.add(ws);
-  console.log('Client connected');
+  console.log(ws.instance ? `Client connected (${ws.instance})` : 'Client connected');
+
+  // Instances get their look first - their page doesn't carry it in the URL
+  const instance = ws.instance && widgetInstances.get(ws.instance);
+  if (instance) {
+    ws.send(JSON.stringify({ type: 'config', data: instance }));
+  }
 
   // Send current track immediately on connection
-  if (currentTrack) {
-    ws.send(JSON.stringify({ type: 'track', data: currentTrack }));
+  sendFeed(ws, getClientFeed(ws));
+  if (ws.view === 'queue') {
+    ws.send(JSON.stringify(getRequestsMessage()));
   }
 
+  // Inbound commands - { "type": "control", "action": "pause" } or { ..., "action": "seek", "position": 60000 }
+  ws.on('message', async (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (e) {
+      return;
+    }
+
+    if (message.type === 'control') {
+      if (!ws.isAdmin) {
+        ws.send(JSON.stringify({ type: 'control-result', action: message.action, success: false, error: 'The admin token is needed for this' }));
+        return;
+      }
+      const result = await runControlCommand(message.action, { position: message.position });
+      ws.send(JSON.stringify({ type: 'control-result', action: message.action, ...result.body }));
+    }
+  });
+
   ws.on('close', () => {
     clients.delete(ws);
     console.log('Client disconnected');
   });
 });
 
-function broadcast(message) {
+// Send to every connected client, or only those matching filter(client)
+function broadcast(message, filter = null) {
   const data = JSON.stringify(message);
   clients.forEach(client => {
-    if (client.readyState === 1) { // WebSocket.OPEN
+    if (client.readyState === 1 && (!filter || filter(client))) { // WebSocket.OPEN
       client.send(data);
     }
   });
 }
 
+function broadcastToFeed(feed, message) {
+  broadcast(message, client => getClientFeed(client) === feed);
+}
+
+// Album art swapped for a cached /api/art URL, plus the art's color palette for themes that follow the cover
+async function withCachedArt(track) {
+  if (!track?.albumArt) return track && { ...track, palette: null };
+
+  const albumArt = await artCache.resolve(track.albumArt);
+  return { ...track, albumArt, palette: await artCache.getPalette(albumArt) };
+}
+
+// Selected track with cached art and its palette
+async function getCurrentTrack() {
+  return withCachedArt(await providerRegistry.getCurrentTrack());
+}
+
+// Give a feed its latest track and send it to the feed's widgets when something changed
+// Returns what changed (TrackChangeDetector.detect())
+function updateFeed(feed, track) {
+  const changes = feed.changes.detect(track);
+  const { changed, isNewTrack, playStateChanged, userSeeked, artChanged } = changes;
+  feed.track = track;
+
+  if (isNewTrack) {
+    updateLyrics(feed);
+  }
+
+  // Only broadcast on meaningful state changes
+  if (changed) {
+    if (track) {
+      console.log(`Broadcasting${feed.name ? ` (${feed.name})` : ''}: ${isNewTrack ? 'new track' : ''} ${playStateChanged ? 'play state changed' : ''} ${userSeeked ? 'user seeked' : ''} ${artChanged ? 'album art changed' : ''}`);
+    }
+    broadcastToFeed(feed, { type: 'track', data: track || null });
+  }
+  return changes;
+}
+
 // Polling function to get current track
 async function pollCurrentTrack() {
+  // Provider change events can arrive mid-poll - run once more afterwards instead of overlapping
+  if (pollInProgress) {
+    pollQueued = true;
+    return;
+  }
+  pollInProgress = true;
+
   try {
-    const track = await mediaProvider.getCurrentTrack();
+    const track = await getCurrentTrack();
 
-    // Create track identifier
-    const trackId = track ? `${track.title}-${track.artist}` : null;
+    // Played time is counted on every poll, not just on broadcasts
+    playTracker.update(track);
 
-    // Detect meaningful state changes
-    const isNewTrack = trackId !== lastTrackId;
-    const playStateChanged = lastPlayingState !== null && lastPlayingState !== track?.playing;
+    const changes = updateFeed(mainFeed, track);
+    if (changes.changed) {
+      // Text/image files for OBS sources follow the same changes
+      fileOutput.update(track);
+    }
+    const events = trackEvents.classify(track, changes);
+    events.forEach(event => webhooks.dispatch(event, track));
+    obs.trackEvents(events);
 
-    // Detect seek: large jump in progress (more than 2.5 seconds from expected)
-    // Expected progress = lastProgress + poll interval (1000ms) if playing
-    let userSeeked = false;
-    if (track && lastProgressMs !== null && !isNewTrack) {
-      const expectedProgress = lastPlayingState ? lastProgressMs + 1500 : lastProgressMs; // 1.5s tolerance
-      const actualProgress = track.progress || 0;
-      const drift = Math.abs(actualProgress - expectedProgress);
-      userSeeked = drift > 2500; // User seeked if drift > 2.5 seconds
+    // Instances with their own app filter pick from the sessions this poll just collected
+    for (const feed of instanceFeeds.values()) {
+      updateFeed(feed, await withCachedArt(await providerRegistry.selectWith(feed.selector, feed.filter.provider || undefined)));
+    }
+  } catch (error) {
+    console.error('Error polling track:', error.message);
+  } finally {
+    pollInProgress = false;
+    if (pollQueued) {
+      pollQueued = false;
+      pollCurrentTrack();
     }
+  }
+}
+
+// Send every feed's track again on the next poll (e.g. after track names were cleaned up differently)
+function resetFeeds() {
+  [mainFeed, ...instanceFeeds.values()].forEach(feed => feed.changes.reset());
+}
 
-    // Determine if we should broadcast (only on state changes)
-    const shouldBroadcast = isNewTrack || playStateChanged || userSeeked || lastTrackId === null;
+// Look up lyrics for a feed's new track and send them to its widgets
+// A slow lookup is dropped if the track changed before it finished
+async function updateLyrics(feed) {
+  const { track } = feed;
+  const trackId = feed.changes.lastTrackId;
 
-    // Update state tracking
-    lastTrackId = trackId;
-    lastPlayingState = track?.playing ?? null;
-    lastProgressMs = track?.progress ?? null;
-    currentTrack = track;
+  // Clear the previous track's lyrics right away
+  feed.lyrics = null;
+  broadcastToFeed(feed, { type: 'lyrics', data: null });
+  if (!track || !serverConfig.lyrics.enabled) return;
 
-    // Only broadcast on meaningful state changes
-    if (shouldBroadcast) {
-      if (track) {
-        console.log(`Broadcasting: ${isNewTrack ? 'new track' : ''} ${playStateChanged ? 'play state changed' : ''} ${userSeeked ? 'user seeked' : ''}`);
-        broadcast({
-          type: 'track',
-          data: track
-        });
-      } else {
-        broadcast({ type: 'track', data: null });
-      }
+  try {
+    const lyrics = await lyricsResolver.resolve(track);
+    if (!lyrics || trackId !== feed.changes.lastTrackId) return;
+
+    feed.lyrics = { title: track.title, artist: track.artist, ...lyrics };
+    console.log(`Lyrics found (${lyrics.source}): ${lyrics.lines.length} lines`);
+    broadcastToFeed(feed, { type: 'lyrics', data: feed.lyrics });
+  } catch (error) {
+    console.error('Lyrics lookup error:', error.message);
+  }
+}
+
+// Match the instance feeds to the saved app filters - called at startup and whenever an instance changes
+// Widgets of an instance whose filter was removed go back to the main feed's track
+function syncInstanceFeeds() {
+  for (const [name, feed] of instanceFeeds) {
+    const instance = widgetInstances.get(name);
+    if (!instance?.filter) {
+      instanceFeeds.delete(name);
+      clients.forEach(client => {
+        if (client.instance === name) sendFeed(client, mainFeed);
+      });
+    } else if (JSON.stringify(instance.filter) !== JSON.stringify(feed.filter)) {
+      instanceFeeds.delete(name);
     }
+  }
+
+  for (const instance of widgetInstances.list()) {
+    if (!instance.filter || instanceFeeds.has(instance.name)) continue;
+
+    // A fresh feed sends its first track on the next poll
+    const feed = createTrackFeed(instance.name);
+    feed.filter = instance.filter;
+    feed.selector = new SessionSelector();
+    feed.selector.configure(instance.filter);
+    instanceFeeds.set(instance.name, feed);
+  }
+}
+
+syncInstanceFeeds();
+
+// HTTP status for each playback control error code
+const CONTROL_ERROR_STATUS = {
+  INVALID: 400,
+  NO_SESSION: 409,
+  UNSUPPORTED: 501,
+  PROVIDER_ERROR: 502
+};
+
+// Run a playback command for either the HTTP API or a WebSocket client
+async function runControlCommand(action, options = {}) {
+  try {
+    const position = options.position === undefined ? undefined : Number(options.position);
+    await providerRegistry.control(action, { position });
+
+    // Pick up the new state without waiting for the next poll
+    setTimeout(pollCurrentTrack, 250);
+
+    return { status: 200, body: { success: true } };
   } catch (error) {
-    console.error('Error polling track:', error.message);
+    return {
+      status: CONTROL_ERROR_STATUS[error.code] || 500,
+      body: { success: false, error: error.message, code: error.code ? error.code.toLowerCase() : undefined }
+    };
   }
 }
 
@@ -221,30 +541,139 @@ function startPolling() {
 // Get current track
 app.get('/api/track', async (req, res) => {
   try {
-    const track = await mediaProvider.getCurrentTrack();
-    res.json(track || { playing: false });
+    const track = await getCurrentTrack();
+    res.json({
+      ...(track || { playing: false }),
+      sessions: providerRegistry.getSessionSummaries()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cached album art - ?size=128 returns a copy that fits in 128x128
+// URLs are content hashes, so browsers and OBS can keep them forever
+app.get('/api/art/:hash', async (req, res) => {
+  try {
+    if (!artCache.has(req.params.hash)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    let size = null;
+    if (req.query.size !== undefined) {
+      size = parseInt(req.query.size, 10);
+      if (!(size >= MIN_ART_SIZE && size <= MAX_ART_SIZE)) {
+        return res.status(400).json({ error: `Size must be between ${MIN_ART_SIZE} and ${MAX_ART_SIZE}` });
+      }
+    }
+
+    const image = await artCache.get(req.params.hash, size);
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type(image.type).send(image.buffer);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Widget page (for OBS browser source) - supports custom themes
-app.get('/widget', async (req, res) => {
-  const customThemeId = req.query.customTheme;
+// Playback control - play, pause, toggle, next, previous, seek ({ "position": ms })
+app.post('/api/control/:action', async (req, res) => {
+  const result = await runControlCommand(req.params.action, { position: req.body?.position });
+  res.status(result.status).json(result.body);
+});
+
+// List every media session the providers can see, plus the app filter rules
+app.get('/api/sessions', (req, res) => {
+  res.json({
+    sessions: providerRegistry.getSessionSummaries(),
+    rules: providerRegistry.selector.getRules()
+  });
+});
+
+// Update the app filter rules (allowlist, blocklist, pinned app)
+app.post('/api/sessions/rules', async (req, res) => {
+  try {
+    const { allowlist, blocklist, preferredApp } = req.body;
+    const isNameList = (list) => Array.isArray(list) && list.every(name => typeof name === 'string');
+
+    if (allowlist !== undefined && !isNameList(allowlist)) {
+      return res.status(400).json({ error: 'Allowlist must be an array of app names' });
+    }
+    if (blocklist !== undefined && !isNameList(blocklist)) {
+      return res.status(400).json({ error: 'Blocklist must be an array of app names' });
+    }
+    if (preferredApp !== undefined && preferredApp !== null && typeof preferredApp !== 'string') {
+      return res.status(400).json({ error: 'Preferred app must be an app name' });
+    }
+
+    providerRegistry.selector.configure({ allowlist, blocklist, preferredApp });
+    serverConfig.sessions = providerRegistry.selector.getRules();
+    await writeServerConfigSection('sessions', serverConfig.sessions);
+
+    // Apply the new rules right away
+    pollCurrentTrack();
+
+    res.json({ success: true, rules: serverConfig.sessions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List media providers with capabilities and health
+app.get('/api/providers', (req, res) => {
+  res.json(providerRegistry.getStatus());
+});
 
+// Choose the active provider and fallback order
+app.post('/api/providers', async (req, res) => {
+  try {
+    const { active, priority } = req.body;
+
+    if (active !== undefined && active !== 'auto' && !providerRegistry.get(active)) {
+      return res.status(400).json({ error: `Unknown provider "${active}"` });
+    }
+
+    if (priority !== undefined) {
+      if (!Array.isArray(priority)) {
+        return res.status(400).json({ error: 'Priority must be an array of provider ids' });
+      }
+      const unknown = priority.find(id => !providerRegistry.get(id));
+      if (unknown) {
+        return res.status(400).json({ error: `Unknown provider "${unknown}"` });
+      }
+    }
+
+    providerRegistry.configure({ active, priority });
+    serverConfig.providers = {
+      ...serverConfig.providers,
+      active: providerRegistry.active,
+      priority: providerRegistry.priority
+    };
+    await writeServerConfigSection('providers', serverConfig.providers);
+
+    res.json({ success: true, ...providerRegistry.getStatus() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send the widget page, or an uploaded theme with the widget script and base CSS injected
+async function sendWidgetPage(res, customThemeId) {
   if (customThemeId) {
     try {
       const themePath = join(THEMES_DIR, `${customThemeId}.html`);
       let themeHtml = await readFile(themePath, 'utf-8');
 
       // Inject the widget.js script if not present
+      // Uploaded themes lose their <head> and <body> tags to the sanitizer, so fall back to the start and end
       if (!themeHtml.includes('widget.js')) {
-        themeHtml = themeHtml.replace('</body>', '<script src="/js/widget.js"></script>\n</body>');
+        const script = '<script src="/js/widget.js"></script>\n';
+        themeHtml = themeHtml.includes('</body>') ? themeHtml.replace('</body>', `${script}</body>`) : themeHtml + script;
       }
 
       // Inject base CSS for essential animations if not present
       if (!themeHtml.includes('widget-base.css')) {
-        themeHtml = themeHtml.replace('</head>', '<link rel="stylesheet" href="/css/widget-base.css">\n</head>');
+        const link = '<link rel="stylesheet" href="/css/widget-base.css">\n';
+        themeHtml = themeHtml.includes('</head>') ? themeHtml.replace('</head>', `${link}</head>`) : link + themeHtml;
       }
 
       res.type('text/html').send(themeHtml);
@@ -255,6 +684,33 @@ app.get('/widget', async (req, res) => {
   } else {
     res.sendFile(join(__dirname, '../public/widget.html'));
   }
+}
+
+// Widget page (for OBS browser source) - supports custom themes
+app.get('/widget', async (req, res) => {
+  await sendWidgetPage(res, req.query.customTheme);
+});
+
+// Song request queue ("up next") for an OBS browser source
+app.get('/widget/queue', (req, res) => {
+  res.sendFile(join(__dirname, '../public/queue.html'));
+});
+
+// Named widget instance - the look comes from the instance's saved state instead of URL parameters
+app.get('/widget/:instance', async (req, res) => {
+  try {
+    const instance = widgetInstances.get(req.params.instance);
+    if (!instance) {
+      return res.status(404).type('text/plain').send(`Widget instance "${req.params.instance}" not found`);
+    }
+
+    // Instances saved before their theme was checked may have anything in it
+    const theme = typeof instance.theme === 'string' ? instance.theme : '';
+    const customThemeId = theme.startsWith('custom:') ? theme.slice('custom:'.length) : null;
+    await sendWidgetPage(res, customThemeId);
+  } catch (error) {
+    res.status(500).type('text/plain').send(error.message);
+  }
 });
 
 // Config page
@@ -265,7 +721,7 @@ app.get('/config', (req, res) => {
 // Theme API Routes
 
 // Upload a new theme
-app.post('/api/themes/upload', themeUpload.single('theme'), async (req, res) => {
+app.post('/api/themes/upload', rateLimit(uploadLimiter), themeUpload.single('theme'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -295,7 +751,8 @@ app.post('/api/themes/upload', themeUpload.single('theme'), async (req, res) =>
         name: metadata.name || req.file.filename.replace('.html', ''),
         filename: req.file.filename,
         author: metadata.author,
-        description: metadata.description
+        description: metadata.description,
+        features: validation.features
       }
     });
   } catch (error) {
@@ -506,6 +963,35 @@ app.get('/api/themes/template/download', (req, res) => {
       height: 30px;
     }
 
+    /* Optional synced lyrics - remove the #lyrics element to leave them out */
+    .lyrics {
+      position: relative;
+      height: 36px;
+      margin-top: 6px;
+      overflow: hidden;
+      font-size: 12px;
+      line-height: 18px;
+      scroll-behavior: smooth;
+    }
+
+    .lyrics-line {
+      color: rgba(255, 255, 255, 0.5);
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .lyrics-line.active { color: white; font-weight: 600; }
+
+    /* Album art colors, when turned on for this theme */
+    .widget-container.art-colors { background: var(--art-dominant); }
+    .widget-container.art-colors .track-title,
+    .widget-container.art-colors .track-artist { color: var(--art-text); }
+    .widget-container.art-colors .progress-bar { background: var(--art-accent); }
+
+    /* Length of the built-in track change animations - match it to your theme */
+    :root { --transition-duration: 400ms; }
+
     .idle-message {
       text-align: center;
       color: rgba(255, 255, 255, 0.7);
@@ -543,6 +1029,8 @@ app.get('/api/themes/template/download', (req, res) => {
             <span id="total-time">0:00</span>
           </div>
         </div>
+
+        <div id="lyrics" class="lyrics"></div>
       </div>
 
       <div id="visualizer" class="visualizer"></div>
@@ -638,53 +1126,1326 @@ app.delete('/api/presets/:name', async (req, res) => {
   }
 });
 
-// ========== Widget State API ==========
-
-// Default widget state
-const DEFAULT_WIDGET_STATE = {
-  theme: '',
-  customColors: {
-    bg: '#1a1a2e',
-    text: '#ffffff',
-    accent: '#1DB954'
-  },
-  canvasSize: {
-    width: 450,
-    height: 150
-  }
-};
+// ========== Now Playing Text API ==========
 
-// Get widget state
-app.get('/api/widget-state', async (req, res) => {
+// Helper: Read named text templates from file
+async function readTextTemplatesFile() {
   try {
-    const content = await readFile(WIDGET_STATE_FILE, 'utf-8');
-    res.json(JSON.parse(content));
+    const content = await readFile(TEXT_TEMPLATES_FILE, 'utf-8');
+    return JSON.parse(content);
   } catch (e) {
     if (e.code === 'ENOENT') {
-      res.json(DEFAULT_WIDGET_STATE);
+      return [];
+    }
+    throw e;
+  }
+}
+
+// Helper: Write named text templates to file
+async function writeTextTemplatesFile(templates) {
+  await writeFile(TEXT_TEMPLATES_FILE, JSON.stringify(templates, null, 2), 'utf-8');
+}
+
+// Plain-text now playing line for chat bots ($(urlfetch) in Nightbot/StreamElements)
+// ?template=<name> uses a saved template, otherwise ?format=, ?paused= and ?idle= are used directly
+app.get('/api/nowplaying.txt', async (req, res) => {
+  try {
+    let template = {
+      format: req.query.format || DEFAULT_TEXT_FORMAT,
+      paused: req.query.paused,
+      idle: req.query.idle
+    };
+
+    if (req.query.template) {
+      const templates = await readTextTemplatesFile();
+      const saved = templates.find(t => t.name === req.query.template);
+      if (!saved) {
+        return res.status(404).type('text/plain').send(`Template "${req.query.template}" not found`);
+      }
+      template = saved;
+    }
+
+    const maxLength = parseInt(req.query.maxLength, 10) || 0;
+    const text = truncate(renderNowPlaying(template, mainFeed.track), maxLength);
+
+    res.set('Cache-Control', 'no-store');
+    res.type('text/plain; charset=utf-8').send(text);
+  } catch (error) {
+    res.status(500).type('text/plain').send('Now playing is unavailable');
+  }
+});
+
+// Get all text templates
+app.get('/api/text-templates', async (req, res) => {
+  try {
+    const templates = await readTextTemplatesFile();
+    res.json(templates);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a text template
+app.post('/api/text-templates', async (req, res) => {
+  try {
+    const { name, format, paused, idle } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Template name is required' });
+    }
+
+    if (!format || typeof format !== 'string') {
+      return res.status(400).json({ error: 'Format is required' });
+    }
+
+    const templates = await readTextTemplatesFile();
+    const existingIndex = templates.findIndex(t => t.name === name.trim());
+
+    const template = {
+      name: name.trim(),
+      format,
+      paused: typeof paused === 'string' && paused ? paused : undefined,
+      idle: typeof idle === 'string' ? idle : undefined,
+      createdAt: new Date().toISOString()
+    };
+
+    if (existingIndex >= 0) {
+      templates[existingIndex] = template;
     } else {
-      res.status(500).json({ error: e.message });
+      templates.push(template);
     }
+
+    await writeTextTemplatesFile(templates);
+    res.json({ success: true, template, updated: existingIndex >= 0 });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Save widget state
-app.post('/api/widget-state', async (req, res) => {
+// Delete a text template
+app.delete('/api/text-templates/:name', async (req, res) => {
   try {
-    const state = req.body;
-    await writeFile(WIDGET_STATE_FILE, JSON.stringify(state, null, 2), 'utf-8');
+    const templateName = decodeURIComponent(req.params.name);
+    const templates = await readTextTemplatesFile();
+    const filtered = templates.filter(t => t.name !== templateName);
+
+    if (filtered.length === templates.length) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await writeTextTemplatesFile(filtered);
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`\n🎵 Noteworthy Server`);
-  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  console.log(`📺 Widget URL:  http://localhost:${PORT}/widget`);
-  console.log(`⚙️  Config URL:  http://localhost:${PORT}/config`);
+// ========== File Output API ==========
+
+const FILE_OUTPUT_IDLE_MODES = ['clear', 'placeholder', 'keep'];
+
+// Get file output settings
+app.get('/api/file-output', (req, res) => {
+  res.json({ ...serverConfig.fileOutput, resolvedDirectory: fileOutput.directory });
+});
+
+// Save file output settings
+app.post('/api/file-output', async (req, res) => {
+  try {
+    const config = mergeConfigValues(serverConfig.fileOutput, req.body || {});
+    delete config.resolvedDirectory;
+
+    if (typeof config.directory !== 'string' || !config.directory.trim()) {
+      return res.status(400).json({ error: 'Output folder is required' });
+    }
+
+    if (!FILE_OUTPUT_IDLE_MODES.includes(config.idleMode)) {
+      return res.status(400).json({ error: `Idle mode must be one of: ${FILE_OUTPUT_IDLE_MODES.join(', ')}` });
+    }
+
+    const validFiles = Array.isArray(config.files) && config.files.every(file =>
+      file && typeof file.name === 'string' && file.name.trim() && !/[\\/]/.test(file.name) && typeof file.format === 'string'
+    );
+    if (!validFiles) {
+      return res.status(400).json({ error: 'Each file needs a plain file name and a format' });
+    }
+
+    config.enabled = Boolean(config.enabled);
+    config.directory = config.directory.trim();
+    if (!config.cover || typeof config.cover !== 'object') {
+      config.cover = serverConfig.fileOutput.cover;
+    }
+
+    serverConfig.fileOutput = config;
+    fileOutput.configure(config);
+    await writeServerConfigSection('fileOutput', config);
+
+    // Write the current state with the new settings right away
+    await fileOutput.update(mainFeed.track);
+
+    res.json({ success: true, config: { ...config, resolvedDirectory: fileOutput.directory } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== Play History API ==========
+
+function getHistoryFilters(query) {
+  for (const name of ['from', 'to', 'at']) {
+    if (query[name] && isNaN(new Date(query[name]).getTime())) {
+      const error = new Error(`Invalid date for "${name}"`);
+      error.code = 'INVALID';
+      throw error;
+    }
+  }
+
+  return {
+    from: query.from,
+    to: query.to,
+    at: query.at,
+    q: query.q ? String(query.q) : undefined
+  };
+}
+
+// Search the play history - ?from=&to=&q=&at=&limit=&offset= (limit 1 to MAX_HISTORY_LIMIT)
+app.get('/api/history', (req, res) => {
+  try {
+    const requested = parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(requested) ? Math.min(Math.max(requested, 1), MAX_HISTORY_LIMIT) : DEFAULT_HISTORY_LIMIT;
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    res.json(historyStore.query({ ...getHistoryFilters(req.query), limit, offset }));
+  } catch (error) {
+    res.status(error.code === 'INVALID' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// Download the play history - ?format=csv|json plus the same filters
+app.get('/api/history/export', (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be csv or json' });
+    }
+
+    const { entries } = historyStore.query(getHistoryFilters(req.query));
+    // Oldest first reads more naturally in a spreadsheet or setlist
+    entries.reverse();
+
+    res.attachment(`play-history.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(historyStore.toCsv(entries));
+    } else {
+      res.json(entries);
+    }
+  } catch (error) {
+    res.status(error.code === 'INVALID' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// ========== Stream Session API ==========
+
+function summarizeStreamSession(session) {
+  const { tracks, ...summary } = session;
+  return { ...summary, trackCount: tracks.length };
+}
+
+// Running session (with its tracks) and all saved sessions
+app.get('/api/session', (req, res) => {
+  res.json({
+    active: streamSessions.active,
+    sessions: streamSessions.sessions.map(summarizeStreamSession).reverse()
+  });
+});
+
+// Start a session - the current track is recorded at 00:00
+app.post('/api/session/start', async (req, res) => {
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    const session = await streamSessions.start(name, mainFeed.track);
+    res.json({ success: true, session });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stop the running session
+app.post('/api/session/stop', async (req, res) => {
+  try {
+    const session = await streamSessions.stop();
+    if (!session) {
+      return res.status(409).json({ error: 'No stream session running' });
+    }
+    res.json({ success: true, session });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export a session's tracklist - :id can be "latest"
+// ?format=youtube (chapter list), cue (cue sheet, ?file= sets the media file name) or markdown
+app.get('/api/session/:id/export', (req, res) => {
+  const session = streamSessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  const format = req.query.format || 'youtube';
+  if (!SESSION_EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of: ${SESSION_EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const baseName = session.name.replace(/[^\w\- ]+/g, '').trim() || 'tracklist';
+  if (req.query.download !== undefined) {
+    res.attachment(`${baseName}.${{ youtube: 'txt', cue: 'cue', markdown: 'md' }[format]}`);
+  }
+
+  if (format === 'cue') {
+    res.type('text/plain').send(toCueSheet(session, req.query.file || undefined));
+  } else if (format === 'markdown') {
+    res.type('text/markdown').send(toMarkdown(session));
+  } else {
+    res.type('text/plain').send(toYouTubeChapters(session));
+  }
+});
+
+// Delete a saved session
+app.delete('/api/session/:id', async (req, res) => {
+  try {
+    if (!(await streamSessions.delete(req.params.id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== Song Requests API ==========
+
+// HTTP status for each song request error code
+const REQUEST_ERROR_STATUS = {
+  INVALID: 400,
+  CLOSED: 403,
+  NOT_FOUND: 404,
+  DUPLICATE: 409,
+  QUEUE_FULL: 409,
+  USER_LIMIT: 429,
+  COOLDOWN: 429
+};
+
+function sendRequestError(res, error) {
+  if (!REQUEST_ERROR_STATUS[error.code]) {
+    return res.status(500).json({ error: error.message });
+  }
+  res.status(REQUEST_ERROR_STATUS[error.code]).json({
+    success: false,
+    error: error.message,
+    code: error.code.toLowerCase(),
+    retryAfter: error.retryAfter
+  });
+}
+
+// Open requests in play order, recently played/rejected ones and the settings
+app.get('/api/requests', (req, res) => {
+  res.json({ settings: serverConfig.requests, queue: songRequests.queue, recent: songRequests.recent });
+});
+
+// Add a request - { user, query } where query is "Artist - Title", a title or a link
+// Errors have a code for the bot to answer with: invalid, closed, duplicate, queue_full, user_limit or cooldown (with retryAfter)
+app.post('/api/requests', async (req, res) => {
+  try {
+    const request = await songRequests.add({ user: req.body?.user, text: req.body?.query });
+    const position = songRequests.queue.indexOf(request) + 1;
+    res.json({ success: true, request, position });
+  } catch (error) {
+    sendRequestError(res, error);
+  }
+});
+
+app.get('/api/requests/settings', (req, res) => {
+  res.json(serverConfig.requests);
+});
+
+// Save request settings - { enabled, requireApproval, maxPerUser, cooldown, maxQueueLength, allowLinks, linkTimeout }
+app.post('/api/requests/settings', async (req, res) => {
+  try {
+    const config = { ...serverConfig.requests };
+    for (const key of ['enabled', 'requireApproval', 'allowLinks']) {
+      if (req.body?.[key] !== undefined) config[key] = Boolean(req.body[key]);
+    }
+    for (const key of ['maxPerUser', 'cooldown', 'maxQueueLength', 'linkTimeout']) {
+      if (req.body?.[key] === undefined) continue;
+      if (!(Number.isInteger(req.body[key]) && req.body[key] >= 0)) {
+        return res.status(400).json({ error: `${key} must be a whole number, 0 or more` });
+      }
+      config[key] = req.body[key];
+    }
+
+    serverConfig.requests = config;
+    songRequests.configure(config);
+    await writeServerConfigSection('requests', config);
+
+    res.json({ success: true, config });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Moderate a request - approve, reject, played, or move ({ "position": 0 } puts it at the top)
+app.post('/api/requests/:id/:action', async (req, res) => {
+  try {
+    if (!REQUEST_ACTIONS.includes(req.params.action)) {
+      return res.status(404).json({ error: `Unknown action "${req.params.action}"` });
+    }
+    const request = await songRequests.moderate(req.params.id, req.params.action, { position: req.body?.position });
+    res.json({ success: true, request });
+  } catch (error) {
+    sendRequestError(res, error);
+  }
+});
+
+// Remove a request from the queue or the recent list
+app.delete('/api/requests/:id', async (req, res) => {
+  try {
+    if (!(await songRequests.delete(req.params.id))) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== Scrobbling API ==========
+
+// Secrets are never sent back to the browser - this placeholder means "keep the saved value"
+const SECRET_PLACEHOLDER = '********';
+const SCROBBLE_SECRETS = { lastfm: ['apiSecret', 'sessionKey'], listenbrainz: ['token'] };
+
+function maskScrobblingConfig(config) {
+  const masked = {};
+  for (const [id, options] of Object.entries(config)) {
+    masked[id] = { ...options };
+    (SCROBBLE_SECRETS[id] || []).forEach(key => {
+      if (masked[id][key]) masked[id][key] = SECRET_PLACEHOLDER;
+    });
+  }
+  return masked;
+}
+
+async function saveScrobblingConfig(config) {
+  serverConfig.scrobbling = config;
+  scrobbler.configure(config);
+  await writeServerConfigSection('scrobbling', config);
+}
+
+// Get scrobbling settings, queue size and last errors
+app.get('/api/scrobbling', (req, res) => {
+  res.json({ config: maskScrobblingConfig(serverConfig.scrobbling), status: scrobbler.getStatus() });
+});
+
+// Save scrobbling settings - { lastfm: {...}, listenbrainz: {...} }
+app.post('/api/scrobbling', async (req, res) => {
+  try {
+    const config = {};
+    for (const [id, defaults] of Object.entries(DEFAULT_SERVER_CONFIG.scrobbling)) {
+      const saved = { ...defaults, ...(serverConfig.scrobbling[id] || {}) };
+      const options = { ...saved, ...(req.body?.[id] || {}) };
+      (SCROBBLE_SECRETS[id] || []).forEach(key => {
+        if (options[key] === SECRET_PLACEHOLDER) options[key] = saved[key];
+      });
+      options.enabled = Boolean(options.enabled);
+
+      if (typeof options.baseUrl !== 'string' || !/^https?:\/\//.test(options.baseUrl)) {
+        return res.status(400).json({ error: `${id} base URL must start with http:// or https://` });
+      }
+      config[id] = options;
+    }
+
+    await saveScrobblingConfig(config);
+    res.json({ success: true, config: maskScrobblingConfig(config), status: scrobbler.getStatus() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log in to Last.fm with a username and password - only the session key is saved
+app.post('/api/scrobbling/lastfm/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+    if (!serverConfig.scrobbling.lastfm.apiKey || !serverConfig.scrobbling.lastfm.apiSecret) {
+      return res.status(400).json({ error: 'Save your Last.fm API key and secret first' });
+    }
+
+    const session = await lastFm.login(username, password);
+    await saveScrobblingConfig({
+      ...serverConfig.scrobbling,
+      lastfm: { ...serverConfig.scrobbling.lastfm, ...session, enabled: true }
+    });
+    res.json({ success: true, username: session.username });
+  } catch (error) {
+    res.status(error.retryable === false ? 400 : 502).json({ error: error.message });
+  }
+});
+
+// ========== Chat Bot API ==========
+
+function maskChatBotConfig(config) {
+  return { ...config, password: config.password ? SECRET_PLACEHOLDER : '' };
+}
+
+// Settings (password masked), every command with its settings, and the connection status
+app.get('/api/chat-bot', (req, res) => {
+  res.json({
+    config: maskChatBotConfig(serverConfig.chatBot),
+    commands: getChatCommandConfig(serverConfig.chatBot.commands),
+    levels: CHAT_LEVELS,
+    status: chatBot.getStatus()
+  });
+});
+
+// Save settings - { enabled, host, port, tls, username, password, channel, prefix, moderators, errorResponse, commands }
+// Reconnects with the new settings
+app.post('/api/chat-bot', async (req, res) => {
+  try {
+    const saved = serverConfig.chatBot;
+    const config = { ...saved, ...(req.body || {}) };
+    if (config.password === SECRET_PLACEHOLDER) {
+      config.password = saved.password;
+    }
+    config.enabled = Boolean(config.enabled);
+    config.tls = Boolean(config.tls);
+
+    if (!(Number.isInteger(config.port) && config.port > 0 && config.port < 65536)) {
+      return res.status(400).json({ error: 'Port must be a number between 1 and 65535' });
+    }
+    for (const key of ['host', 'username', 'password', 'channel', 'prefix', 'errorResponse']) {
+      if (typeof config[key] !== 'string') {
+        return res.status(400).json({ error: `${key} must be text` });
+      }
+    }
+    if (!config.prefix) {
+      return res.status(400).json({ error: 'The command prefix must not be empty' });
+    }
+    if (!Array.isArray(config.moderators) || !config.moderators.every(name => typeof name === 'string')) {
+      return res.status(400).json({ error: 'Moderators must be a list of names' });
+    }
+
+    const commands = {};
+    for (const [id, options] of Object.entries(getChatCommandConfig(config.commands))) {
+      if (!CHAT_LEVELS.includes(options.level)) {
+        return res.status(400).json({ error: `!${id} level must be one of: ${CHAT_LEVELS.join(', ')}` });
+      }
+      if (!(Number.isFinite(options.cooldown) && options.cooldown >= 0)) {
+        return res.status(400).json({ error: `!${id} cooldown must be a number of seconds` });
+      }
+      if (typeof options.response !== 'string' || typeof options.idleResponse !== 'string') {
+        return res.status(400).json({ error: `!${id} responses must be text` });
+      }
+      commands[id] = { ...options, enabled: Boolean(options.enabled) };
+    }
+    config.commands = commands;
+
+    serverConfig.chatBot = config;
+    chatBot.configure(config);
+    await writeServerConfigSection('chatBot', config);
+
+    res.json({ success: true, config: maskChatBotConfig(config), commands, status: chatBot.getStatus() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== Webhooks API ==========
+
+function maskWebhook(hook) {
+  return { ...hook, secret: hook.secret ? SECRET_PLACEHOLDER : '' };
+}
+
+// Problem with a webhook's settings, or null
+function validateWebhook({ name, url, events, format, secret }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Name is required';
+  }
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return 'URL must be a full http:// or https:// address';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'URL must be a full http:// or https:// address';
+  }
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => TRACK_EVENTS.includes(event))) {
+    return `Events must be a list of: ${TRACK_EVENTS.join(', ')}`;
+  }
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    return `Format must be one of: ${WEBHOOK_FORMATS.join(', ')}`;
+  }
+  if (typeof secret !== 'string') {
+    return 'Secret must be text';
+  }
+  return null;
+}
+
+async function saveWebhooks(config) {
+  serverConfig.webhooks = config;
+  webhooks.configure(config);
+  await writeServerConfigSection('webhooks', config);
+}
+
+// Webhooks (secrets masked), the events and formats they can use, settings and recent deliveries
+app.get('/api/webhooks', (req, res) => {
+  const { hooks, ...settings } = serverConfig.webhooks;
+  res.json({
+    webhooks: hooks.map(maskWebhook),
+    events: TRACK_EVENTS,
+    formats: WEBHOOK_FORMATS,
+    settings,
+    deliveries: webhooks.deliveries
+  });
+});
+
+// Add a webhook - { name, url, events, format, secret, enabled }
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    const hook = {
+      id: randomUUID(),
+      name: req.body?.name,
+      url: req.body?.url,
+      events: req.body?.events,
+      format: req.body?.format || 'json',
+      secret: req.body?.secret || '',
+      enabled: req.body?.enabled !== false
+    };
+    const error = validateWebhook(hook);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    hook.name = hook.name.trim();
+
+    await saveWebhooks({ ...serverConfig.webhooks, hooks: [...serverConfig.webhooks.hooks, hook] });
+    res.json({ success: true, webhook: maskWebhook(hook) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save delivery settings - { publicUrl, timeout, maxAttempts }
+app.post('/api/webhooks/settings', async (req, res) => {
+  try {
+    const config = { ...serverConfig.webhooks };
+    if (req.body?.publicUrl !== undefined) {
+      if (typeof req.body.publicUrl !== 'string' || (req.body.publicUrl && !/^https?:\/\/[^/]+/i.test(req.body.publicUrl))) {
+        return res.status(400).json({ error: 'Public URL must be empty or a full http:// address' });
+      }
+      config.publicUrl = req.body.publicUrl.trim();
+    }
+    for (const key of ['timeout', 'maxAttempts']) {
+      if (req.body?.[key] === undefined) continue;
+      if (!(Number.isInteger(req.body[key]) && req.body[key] >= 1)) {
+        return res.status(400).json({ error: `${key} must be a whole number, 1 or more` });
+      }
+      config[key] = req.body[key];
+    }
+
+    await saveWebhooks(config);
+    const { hooks, ...settings } = config;
+    res.json({ success: true, settings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a webhook - fields not given are kept (the masked secret keeps the saved one)
+app.post('/api/webhooks/:id', async (req, res) => {
+  try {
+    const saved = serverConfig.webhooks.hooks.find(hook => hook.id === req.params.id);
+    if (!saved) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const hook = { ...saved };
+    for (const key of ['name', 'url', 'events', 'format', 'secret']) {
+      if (req.body?.[key] !== undefined) hook[key] = req.body[key];
+    }
+    if (hook.secret === SECRET_PLACEHOLDER) {
+      hook.secret = saved.secret;
+    }
+    if (req.body?.enabled !== undefined) {
+      hook.enabled = Boolean(req.body.enabled);
+    }
+    const error = validateWebhook(hook);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    hook.name = hook.name.trim();
+
+    await saveWebhooks({
+      ...serverConfig.webhooks,
+      hooks: serverConfig.webhooks.hooks.map(other => other.id === hook.id ? hook : other)
+    });
+    res.json({ success: true, webhook: maskWebhook(hook) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/webhooks/:id', async (req, res) => {
+  try {
+    const hooks = serverConfig.webhooks.hooks.filter(hook => hook.id !== req.params.id);
+    if (hooks.length === serverConfig.webhooks.hooks.length) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await saveWebhooks({ ...serverConfig.webhooks, hooks });
+    webhooks.cancel(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a track.changed for the current track (or a sample one) and report the first attempt
+app.post('/api/webhooks/:id/test', async (req, res) => {
+  try {
+    const hook = serverConfig.webhooks.hooks.find(other => other.id === req.params.id);
+    if (!hook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await webhooks.test(hook, mainFeed.track);
+    res.json({ success: delivery.status === 'delivered', delivery, error: delivery.error || undefined });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== OBS API ==========
+
+function maskObsConfig(config) {
+  return { ...config, password: config.password ? SECRET_PLACEHOLDER : '' };
+}
+
+// Problem with OBS scene or event rules, or null
+function validateObsRules({ sceneRules, eventRules }) {
+  if (!Array.isArray(sceneRules) || !Array.isArray(eventRules)) {
+    return 'sceneRules and eventRules must be lists';
+  }
+  for (const rule of sceneRules) {
+    if (typeof rule?.scene !== 'string' || !rule.scene) {
+      return 'Every scene rule needs a scene';
+    }
+    if (rule.widget !== 'show' && rule.widget !== 'hide') {
+      return `Scene rule for "${rule.scene}" must show or hide the widget`;
+    }
+  }
+  for (const rule of eventRules) {
+    if (!TRACK_EVENTS.includes(rule?.event)) {
+      return `Event rules need an event: ${TRACK_EVENTS.join(', ')}`;
+    }
+    if (!OBS_ACTIONS.includes(rule.action)) {
+      return `Event rule action must be one of: ${OBS_ACTIONS.join(', ')}`;
+    }
+    if (!(Number.isFinite(rule.delay) && rule.delay >= 0)) {
+      return 'Event rule delay must be a number of seconds';
+    }
+    if (rule.action === 'switchScene' && !rule.scene) {
+      return 'Switching scenes needs a scene';
+    }
+    if ((rule.action === 'enableFilter' || rule.action === 'disableFilter') && !(rule.source && rule.filter)) {
+      return 'Filter rules need a source and a filter name';
+    }
+  }
+  return null;
+}
+
+// Settings (password masked), connection status, and the events and actions rules can use
+app.get('/api/obs', (req, res) => {
+  res.json({
+    config: maskObsConfig(serverConfig.obs),
+    status: obs.getStatus(),
+    events: TRACK_EVENTS,
+    actions: OBS_ACTIONS
+  });
+});
+
+// Save settings - { enabled, url, password, widgetSource, syncSize, sceneRules, eventRules }
+// Reconnects with the new settings
+app.post('/api/obs', async (req, res) => {
+  try {
+    const saved = serverConfig.obs;
+    const config = { ...saved, ...(req.body || {}) };
+    if (config.password === SECRET_PLACEHOLDER) {
+      config.password = saved.password;
+    }
+    config.enabled = Boolean(config.enabled);
+    config.syncSize = Boolean(config.syncSize);
+
+    for (const key of ['url', 'password', 'widgetSource']) {
+      if (typeof config[key] !== 'string') {
+        return res.status(400).json({ error: `${key} must be text` });
+      }
+    }
+    if (config.url && !/^wss?:\/\/[^/]+/i.test(config.url)) {
+      return res.status(400).json({ error: 'The address must start with ws:// (e.g. ws://127.0.0.1:4455)' });
+    }
+    const error = validateObsRules(config);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    serverConfig.obs = config;
+    obs.configure(config);
+    await writeServerConfigSection('obs', config);
+
+    res.json({ success: true, config: maskObsConfig(config), status: obs.getStatus() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scene names from OBS, for the rule editor
+app.get('/api/obs/scenes', async (req, res) => {
+  try {
+    res.json({ scenes: await obs.getScenes() });
+  } catch (error) {
+    res.status(error.code === 'NOT_CONNECTED' ? 409 : 502).json({ error: error.message });
+  }
+});
+
+// Set a browser source's size from a widget's canvasSize - { instance, source }, both optional
+// Without an instance the main widget's size goes to the widget source from the OBS settings
+app.post('/api/obs/sync-size', async (req, res) => {
+  try {
+    const { instance, source = serverConfig.obs.widgetSource } = req.body || {};
+    let canvasSize;
+    if (instance !== undefined) {
+      if (!widgetInstances.has(instance)) {
+        return res.status(404).json({ error: 'Widget instance not found' });
+      }
+      canvasSize = widgetInstances.get(instance).canvasSize;
+    } else {
+      canvasSize = { ...DEFAULT_WIDGET_STATE.canvasSize, ...(await readWidgetState()).canvasSize };
+    }
+    if (!source) {
+      return res.status(400).json({ error: 'Name the browser source to resize' });
+    }
+
+    await obs.setSourceSize(source, canvasSize);
+    res.json({ success: true, source, ...canvasSize });
+  } catch (error) {
+    res.status(error.code === 'NOT_CONNECTED' ? 409 : 502).json({ error: error.message });
+  }
+});
+
+// ========== Metadata Cleanup API ==========
+
+// Cleanup settings plus the built-in rules to show on the config page
+app.get('/api/metadata', (req, res) => {
+  res.json({
+    ...serverConfig.metadata,
+    availableBuiltins: BUILTIN_RULES.map(({ id, description }) => ({ id, description }))
+  });
+});
+
+// Save cleanup settings - { enabled, builtins, rules, renames }
+app.post('/api/metadata', async (req, res) => {
+  try {
+    const config = mergeConfigValues(serverConfig.metadata, req.body || {});
+    delete config.availableBuiltins;
+
+    if (!Array.isArray(config.rules) || !Array.isArray(config.renames)) {
+      return res.status(400).json({ error: 'rules and renames must be arrays' });
+    }
+
+    for (const rule of config.rules) {
+      if (!rule || typeof rule.pattern !== 'string' || !rule.pattern) {
+        return res.status(400).json({ error: 'Each rule needs a pattern' });
+      }
+      if (rule.field !== 'any' && !METADATA_FIELDS.includes(rule.field)) {
+        return res.status(400).json({ error: `Rule field must be one of: any, ${METADATA_FIELDS.join(', ')}` });
+      }
+      try {
+        MetadataCleaner.compileRule(rule);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid pattern "${rule.pattern}": ${error.message}` });
+      }
+    }
+
+    if (!config.renames.every(rename => typeof rename?.match?.title === 'string' && rename.match.title)) {
+      return res.status(400).json({ error: 'Each rename needs match.title (the raw title from the player)' });
+    }
+
+    config.enabled = Boolean(config.enabled);
+    serverConfig.metadata = config;
+    metadataCleaner.configure(config);
+    await writeServerConfigSection('metadata', config);
+
+    // Re-broadcast with the new names
+    resetFeeds();
+    pollCurrentTrack();
+
+    res.json({ success: true, config });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Try the current cleanup settings - { title, artist, album, appName }
+app.post('/api/metadata/preview', (req, res) => {
+  const { title, artist, album, appName } = req.body || {};
+  if (!title) {
+    return res.status(400).json({ error: 'title is required' });
+  }
+  res.json(metadataCleaner.clean({ title, artist, album, appName }));
+});
+
+// ========== Album Art Lookup API ==========
+
+// Saved resolver list in chain order, with defaults filled in for anything missing
+function getResolverConfig(resolvers, defaults) {
+  const ordered = (Array.isArray(resolvers) ? resolvers : [])
+    .filter(options => defaults.some(d => d.id === options?.id))
+    .map(options => ({ ...defaults.find(d => d.id === options.id), ...options }));
+
+  defaults.forEach(d => {
+    if (!ordered.some(options => options.id === d.id)) ordered.push({ ...d });
+  });
+  return ordered;
+}
+
+function getArtResolverConfig(resolvers) {
+  return getResolverConfig(resolvers, DEFAULT_SERVER_CONFIG.albumArt.resolvers);
+}
+
+// Resolver chain settings
+app.get('/api/art-resolvers', (req, res) => {
+  res.json({
+    minScore: serverConfig.albumArt.minScore,
+    resolvers: getArtResolverConfig(serverConfig.albumArt.resolvers).map(options => ({
+      ...options,
+      name: ART_RESOLVERS.find(resolver => resolver.id === options.id).name
+    }))
+  });
+});
+
+// Save resolver order/settings - { minScore, resolvers: [{ id, enabled, timeout, baseUrl }] }
+app.post('/api/art-resolvers', async (req, res) => {
+  try {
+    const minScore = req.body?.minScore ?? serverConfig.albumArt.minScore;
+    if (typeof minScore !== 'number' || minScore < 0 || minScore > 1) {
+      return res.status(400).json({ error: 'minScore must be a number between 0 and 1' });
+    }
+
+    const resolvers = getArtResolverConfig(req.body?.resolvers || serverConfig.albumArt.resolvers)
+      .map(({ name, ...options }) => ({ ...options, enabled: Boolean(options.enabled) }));
+
+    for (const options of resolvers) {
+      if (!(Number.isFinite(options.timeout) && options.timeout > 0)) {
+        return res.status(400).json({ error: `${options.id} timeout must be a positive number of milliseconds` });
+      }
+      for (const key of ['baseUrl', 'coverArtUrl']) {
+        if (key in options && !/^https?:\/\//.test(options[key])) {
+          return res.status(400).json({ error: `${options.id} ${key} must start with http:// or https://` });
+        }
+      }
+    }
+
+    const config = { minScore, resolvers };
+    serverConfig.albumArt = config;
+    artResolver.configure(config);
+    await writeServerConfigSection('albumArt', config);
+
+    res.json({ success: true, config });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run the chain for a track without caching and show every resolver's scored candidates
+// ?title=&artist=&album= (defaults to the current track)
+app.get('/api/art-resolvers/lookup', async (req, res) => {
+  try {
+    const track = req.query.title
+      ? { title: req.query.title, artist: req.query.artist || '', album: req.query.album || '' }
+      : mainFeed.track;
+    if (!track?.title) {
+      return res.status(400).json({ error: 'No title given and nothing is playing' });
+    }
+
+    res.json(await artResolver.lookup(track));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Art pinned to tracks
+app.get('/api/art-overrides', (req, res) => {
+  res.json(artResolver.overrides);
+});
+
+// Pin art to a track - { url, title, artist } (title/artist default to the current track)
+app.post('/api/art-overrides', rateLimit(uploadLimiter), async (req, res) => {
+  try {
+    const { url } = req.body || {};
+    const title = req.body?.title || mainFeed.track?.title;
+    const artist = req.body?.title ? req.body.artist : mainFeed.track?.artist;
+
+    if (!title) {
+      return res.status(400).json({ error: 'No title given and nothing is playing' });
+    }
+    if (typeof url !== 'string' || !/^(https?:\/\/|data:image\/|\/api\/art\/)/.test(url)) {
+      return res.status(400).json({ error: 'url must be an http(s) URL, an image data URI or an /api/art URL' });
+    }
+
+    const override = await artResolver.setOverride({ title, artist, url });
+    pollCurrentTrack();
+    res.json({ success: true, override });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unpin art
+app.delete('/api/art-overrides/:id', async (req, res) => {
+  try {
+    if (!(await artResolver.deleteOverride(req.params.id))) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+    pollCurrentTrack();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== Lyrics API ==========
+
+function getLyricsResolverConfig(resolvers) {
+  return getResolverConfig(resolvers, DEFAULT_SERVER_CONFIG.lyrics.resolvers);
+}
+
+// Lyrics for the current track (lines are empty when none were found)
+app.get('/api/lyrics', (req, res) => {
+  res.json(mainFeed.lyrics || { title: mainFeed.track?.title || null, artist: mainFeed.track?.artist || null, source: null, lines: [] });
+});
+
+// Lyrics settings with the resolver chain
+app.get('/api/lyrics/settings', (req, res) => {
+  res.json({
+    enabled: serverConfig.lyrics.enabled,
+    minScore: serverConfig.lyrics.minScore,
+    resolvers: getLyricsResolverConfig(serverConfig.lyrics.resolvers).map(options => ({
+      ...options,
+      name: LYRICS_RESOLVERS.find(resolver => resolver.id === options.id).name
+    }))
+  });
+});
+
+// Save lyrics settings - { enabled, minScore, resolvers: [{ id, enabled, timeout, baseUrl, directory }] }
+app.post('/api/lyrics/settings', async (req, res) => {
+  try {
+    const minScore = req.body?.minScore ?? serverConfig.lyrics.minScore;
+    if (typeof minScore !== 'number' || minScore < 0 || minScore > 1) {
+      return res.status(400).json({ error: 'minScore must be a number between 0 and 1' });
+    }
+
+    const resolvers = getLyricsResolverConfig(req.body?.resolvers || serverConfig.lyrics.resolvers)
+      .map(({ name, ...options }) => ({ ...options, enabled: Boolean(options.enabled) }));
+
+    for (const options of resolvers) {
+      if (!(Number.isFinite(options.timeout) && options.timeout > 0)) {
+        return res.status(400).json({ error: `${options.id} timeout must be a positive number of milliseconds` });
+      }
+      if ('baseUrl' in options && !/^https?:\/\//.test(options.baseUrl)) {
+        return res.status(400).json({ error: `${options.id} baseUrl must start with http:// or https://` });
+      }
+      if ('directory' in options && (typeof options.directory !== 'string' || !options.directory.trim())) {
+        return res.status(400).json({ error: `${options.id} directory must not be empty` });
+      }
+    }
+
+    const config = { enabled: Boolean(req.body?.enabled ?? serverConfig.lyrics.enabled), minScore, resolvers };
+    serverConfig.lyrics = config;
+    lyricsResolver.configure(config);
+    await writeServerConfigSection('lyrics', config);
+
+    // Look the current track up again with the new settings
+    [mainFeed, ...instanceFeeds.values()].forEach(updateLyrics);
+
+    res.json({ success: true, config });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== Visualizer API ==========
+
+const VISUALIZER_FPS_RANGE = [1, 60];
+
+// Visualizer settings with capture status
+app.get('/api/visualizer', (req, res) => {
+  res.json({
+    ...serverConfig.visualizer,
+    status: audioVisualizer.getStatus(),
+    backends: CAPTURE_BACKENDS.map(({ id, name }) => ({ id, name }))
+  });
+});
+
+// Save visualizer settings and restart the capture - { enabled, backend, sampleRate, channels, bands, fps, ... }
+app.post('/api/visualizer', async (req, res) => {
+  try {
+    const config = { ...serverConfig.visualizer, ...req.body };
+    delete config.status;
+    delete config.backends;
+
+    if (!CAPTURE_BACKENDS.some(backend => backend.id === config.backend)) {
+      return res.status(400).json({ error: `backend must be one of: ${CAPTURE_BACKENDS.map(b => b.id).join(', ')}` });
+    }
+    for (const key of ['sampleRate', 'channels', 'bands']) {
+      if (!(Number.isInteger(config[key]) && config[key] > 0)) {
+        return res.status(400).json({ error: `${key} must be a positive whole number` });
+      }
+    }
+    if (!(config.fps >= VISUALIZER_FPS_RANGE[0] && config.fps <= VISUALIZER_FPS_RANGE[1])) {
+      return res.status(400).json({ error: `fps must be between ${VISUALIZER_FPS_RANGE[0]} and ${VISUALIZER_FPS_RANGE[1]}` });
+    }
+    if (!Array.isArray(config.ffmpegInput) || !Array.isArray(config.args)) {
+      return res.status(400).json({ error: 'ffmpegInput and args must be arrays' });
+    }
+
+    config.enabled = Boolean(config.enabled);
+    serverConfig.visualizer = config;
+    await writeServerConfigSection('visualizer', config);
+    await audioVisualizer.configure(config);
+
+    res.json({ success: true, config, status: audioVisualizer.getStatus() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== Widget State API ==========
+
+// Problem with an instance's look, filter or auto-hide settings, or null
+function validateInstanceState({ theme, customColors, canvasSize, filter, visibility }) {
+  const isNameList = (list) => list === undefined || (Array.isArray(list) && list.every(name => typeof name === 'string'));
+  const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+  if (theme !== undefined && typeof theme !== 'string') {
+    return 'Theme must be a theme name, custom:<id> or \'\' for the default';
+  }
+  if (customColors !== undefined) {
+    if (!isObject(customColors) || !Object.values(customColors).every(color => typeof color === 'string')) {
+      return 'Custom colors must be { bg, text, accent } color strings';
+    }
+  }
+  if (canvasSize !== undefined) {
+    const isSize = (value) => value === undefined || (Number.isFinite(value) && value > 0);
+    if (!isObject(canvasSize) || !isSize(canvasSize.width) || !isSize(canvasSize.height)) {
+      return 'Canvas size must be { width, height } in pixels';
+    }
+  }
+
+  if (filter !== undefined && filter !== null) {
+    if (typeof filter !== 'object' || Array.isArray(filter)) {
+      return 'Filter must be null or { provider, allowlist, blocklist, preferredApp }';
+    }
+    if (!isNameList(filter.allowlist) || !isNameList(filter.blocklist)) {
+      return 'Filter allowlist and blocklist must be arrays of app names';
+    }
+    if (filter.preferredApp !== undefined && filter.preferredApp !== null && typeof filter.preferredApp !== 'string') {
+      return 'Filter preferredApp must be an app name';
+    }
+    if (filter.provider && filter.provider !== 'auto' && !providerRegistry.get(filter.provider)) {
+      return `Unknown provider "${filter.provider}"`;
+    }
+  }
+  if (visibility !== undefined) {
+    if (typeof visibility !== 'object' || visibility === null || Array.isArray(visibility)) {
+      return 'Visibility must be { showFor, hideWhenPaused, pausedDelay, hideWhenIdle }';
+    }
+    for (const key of ['showFor', 'pausedDelay']) {
+      if (visibility[key] !== undefined && !(Number.isFinite(visibility[key]) && visibility[key] >= 0)) {
+        return `Visibility ${key} must be a number of seconds`;
+      }
+    }
+    for (const key of ['hideWhenPaused', 'hideWhenIdle']) {
+      if (visibility[key] !== undefined && typeof visibility[key] !== 'boolean') {
+        return `Visibility ${key} must be true or false`;
+      }
+    }
+  }
+  return null;
+}
+
+// The main widget's saved state (defaults until it is first saved)
+async function readWidgetState() {
+  try {
+    return JSON.parse(await readFile(WIDGET_STATE_FILE, 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return DEFAULT_WIDGET_STATE;
+    }
+    throw e;
+  }
+}
+
+// Get widget state - ?instance=name for a named instance, otherwise the main widget
+app.get('/api/widget-state', async (req, res) => {
+  if (req.query.instance) {
+    const instance = widgetInstances.get(req.query.instance);
+    if (!instance) {
+      return res.status(404).json({ error: 'Widget instance not found' });
+    }
+    return res.json(instance);
+  }
+
+  try {
+    res.json(await readWidgetState());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Save widget state - instance state is merged, so saving the look keeps the instance's filter
+// Open widgets get the new state as a 'config' message and restyle without a reload
+app.post('/api/widget-state', async (req, res) => {
+  try {
+    const state = req.body;
+
+    if (req.query.instance) {
+      if (!widgetInstances.has(req.query.instance)) {
+        return res.status(404).json({ error: 'Widget instance not found' });
+      }
+      const error = validateInstanceState(state);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const instance = await widgetInstances.set(req.query.instance, state);
+      broadcast({ type: 'config', data: instance }, client => client.instance === req.query.instance);
+      syncInstanceFeeds();
+      pollCurrentTrack();
+      return res.json({ success: true, state: instance });
+    }
+
+    await writeFile(WIDGET_STATE_FILE, JSON.stringify(state, null, 2), 'utf-8');
+    // Widgets of deleted or unknown instances follow the main widget too
+    broadcast({ type: 'config', data: state }, client => !(client.instance && widgetInstances.has(client.instance)));
+    // Keep the OBS browser source the same size as the widget
+    if (serverConfig.obs.syncSize && state.canvasSize && obs.getStatus().connected) {
+      obs.setSourceSize(serverConfig.obs.widgetSource, state.canvasSize)
+        .catch((error) => console.error('OBS resize error:', error.message));
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Show hidden widgets for a while, e.g. from a "what song is this?" chat command
+// { seconds, instance } - both optional, without an instance every open widget is shown
+app.post('/api/widget/show', (req, res) => {
+  const { seconds = DEFAULT_SHOW_SECONDS, instance } = req.body || {};
+
+  if (!Number.isFinite(seconds) || seconds <= 0 || seconds > MAX_SHOW_SECONDS) {
+    return res.status(400).json({ error: `seconds must be more than 0 and at most ${MAX_SHOW_SECONDS}` });
+  }
+  if (instance !== undefined && !widgetInstances.has(instance)) {
+    return res.status(404).json({ error: 'Widget instance not found' });
+  }
+
+  broadcast({ type: 'show', data: { seconds } }, instance === undefined ? null : client => client.instance === instance);
+  res.json({ success: true, seconds });
+});
+
+// ========== Widget Instances API ==========
+
+// List instances with their widget URL and how many widgets are connected
+app.get('/api/widget-instances', (req, res) => {
+  res.json(widgetInstances.list().map(instance => ({
+    ...instance,
+    url: `/widget/${instance.name}`,
+    clients: [...clients].filter(client => client.instance === instance.name).length
+  })));
+});
+
+// Create an instance - { name, state } where state (optional) is the look to start from
+app.post('/api/widget-instances', async (req, res) => {
+  try {
+    const { name, state = {} } = req.body;
+
+    if (!WidgetInstanceStore.isValidName(name)) {
+      return res.status(400).json({ error: 'Instance name must be 1-32 lowercase letters, numbers or dashes (not "queue")' });
+    }
+    if (widgetInstances.has(name)) {
+      return res.status(409).json({ error: `Widget instance "${name}" already exists` });
+    }
+    const error = validateInstanceState(state);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const instance = await widgetInstances.set(name, state);
+    syncInstanceFeeds();
+    pollCurrentTrack();
+
+    res.json({ success: true, instance: { name, ...instance, url: `/widget/${name}` } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an instance - its open widgets fall back to the main track
+app.delete('/api/widget-instances/:name', async (req, res) => {
+  try {
+    if (!await widgetInstances.delete(req.params.name)) {
+      return res.status(404).json({ error: 'Widget instance not found' });
+    }
+    syncInstanceFeeds();
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exit cleanly on Ctrl+C so helper processes are stopped with the server
+// and the track still playing is saved to the history (and the scrobble queue) with its played time
+async function shutdown() {
+  playTracker.end();
+  const results = await Promise.allSettled([
+    historyStore.save(),
+    scrobbler.save(),
+    songRequests.save(),
+    streamSessions.save(),
+    widgetInstances.save()
+  ]);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Write error on shutdown:', result.reason.message));
+  process.exit(0);
+}
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, shutdown));
+
+// Start server
+// Listens on every network interface unless security.bindAddress narrows it down
+const { bindAddress } = serverConfig.security;
+server.listen(PORT, bindAddress || undefined, () => {
+  const host = bindAddress && bindAddress !== '0.0.0.0' && bindAddress !== '::' ? bindAddress : 'localhost';
+  console.log(`\n🎵 Noteworthy Server`);
+  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+  console.log(`📺 Widget URL:  http://${host}:${PORT}/widget`);
+  console.log(`⚙️  Config URL:  http://${host}:${PORT}/config`);
+  if (accessControl.adminRequired) {
+    console.log(`🔒 Admin token required${accessControl.readRequired ? ', widgets need a read token' : ''}`);
+  }
   console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
   console.log(`Add the Widget URL as a Browser Source in OBS`);
   console.log(`Recommended size: 400x150 pixels\n`);
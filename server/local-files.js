@@ -0,0 +1,40 @@
+import { readdir } from 'fs/promises';
+import { join, extname, relative, sep } from 'path';
+
+const MAX_FILES = 5000;
+
+// Files with one of the extensions (lower case, with the dot) in directory and up to two folders down
+// A missing directory has no files
+export async function listFiles(directory, extensions, depth = 0) {
+  let entries;
+  try {
+    entries = await readdir(directory, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (files.length >= MAX_FILES) break;
+    const path = join(directory, entry.name);
+    if (entry.isDirectory() && depth < 2) {
+      files.push(...await listFiles(path, extensions, depth + 1));
+    } else if (entry.isFile() && extensions.includes(extname(entry.name).toLowerCase())) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+// Artist and name from a file's path - Artist - Name.ext, Artist/Name.ext or just Name.ext
+export function splitFileName(directory, file) {
+  const parts = relative(directory, file).split(sep);
+  const name = parts.pop().slice(0, -extname(file).length);
+  const separator = name.indexOf(' - ');
+
+  if (separator > 0) {
+    return { artist: name.slice(0, separator), name: name.slice(separator + 3) };
+  }
+  return { artist: parts.length > 0 ? parts[0] : '', name };
+}
@@ -0,0 +1,22 @@
+import { readFile } from 'fs/promises';
+import { listFiles, splitFileName } from '../local-files.js';
+
+// .lrc files in a local folder, matched by file name:
+//   Artist - Title.lrc, Artist/Title.lrc or just Title.lrc
+export const localFolderResolver = {
+  id: 'local',
+  name: 'Local Folder',
+
+  async search(query, { directory }) {
+    const files = await listFiles(directory, ['.lrc']);
+
+    return files.map(file => {
+      const { artist, name } = splitFileName(directory, file);
+      return { artist, title: name, file };
+    });
+  },
+
+  load(candidate) {
+    return readFile(candidate.file, 'utf-8');
+  }
+};
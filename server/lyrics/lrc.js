@@ -0,0 +1,44 @@
+// LRC lyrics parser - https://en.wikipedia.org/wiki/LRC_(file_format)
+//   [00:12.34]Line text
+//   [01:02.00][02:10.50]Repeated chorus line
+//   [offset:+250]  (ms, positive shows lines earlier)
+// Enhanced LRC word timings (<00:12.50>) are dropped - the widget highlights whole lines
+
+const TIME_TAG_PATTERN = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const WORD_TAG_PATTERN = /<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g;
+const OFFSET_PATTERN = /^\[offset:\s*([+-]?\d+)\s*\]/im;
+
+function toMs(minutes, seconds, fraction = '') {
+  // .5 is half a second, .05 and .050 are fifty milliseconds
+  const ms = fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0;
+  return Number(minutes) * 60000 + Number(seconds) * 1000 + ms;
+}
+
+// [{ time, text }] sorted by time (ms) - empty when the text has no time tags
+export function parseLrc(text) {
+  if (typeof text !== 'string') return [];
+
+  const offsetMatch = text.match(OFFSET_PATTERN);
+  const offset = offsetMatch ? Number(offsetMatch[1]) : 0;
+  const lines = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const times = [];
+    let rest = rawLine.trim();
+
+    // Time tags are all at the start of the line
+    let match;
+    TIME_TAG_PATTERN.lastIndex = 0;
+    while ((match = TIME_TAG_PATTERN.exec(rest)) && match.index === 0) {
+      times.push(toMs(match[1], match[2], match[3]));
+      rest = rest.slice(match[0].length);
+      TIME_TAG_PATTERN.lastIndex = 0;
+    }
+    if (times.length === 0) continue;
+
+    const lineText = rest.replace(WORD_TAG_PATTERN, '').replace(/\s{2,}/g, ' ').trim();
+    times.forEach(time => lines.push({ time: Math.max(0, time - offset), text: lineText }));
+  }
+
+  return lines.sort((a, b) => a.time - b.time);
+}
@@ -0,0 +1,23 @@
+// LRCLIB - https://lrclib.net/docs
+// Only entries with synced lyrics are used
+export const lrclibResolver = {
+  id: 'lrclib',
+  name: 'LRCLIB',
+
+  async search({ title, artist }, { baseUrl, request }) {
+    const params = new URLSearchParams({ track_name: title });
+    if (artist) params.set('artist_name', artist);
+    const results = await request(`${baseUrl}/api/search?${params}`);
+
+    return (Array.isArray(results) ? results : [])
+      .filter(result => result.syncedLyrics)
+      .map(result => ({
+        title: result.trackName,
+        artist: result.artistName,
+        album: result.albumName,
+        // LRCLIB durations are in seconds
+        duration: result.duration ? Math.round(result.duration * 1000) : null,
+        lrc: result.syncedLyrics
+      }));
+  }
+};
@@ -0,0 +1,47 @@
+import { ResolverChain } from '../resolver-chain.js';
+import { parseLrc } from './lrc.js';
+import { localFolderResolver } from './local-folder.js';
+import { lrclibResolver } from './lrclib.js';
+
+// Every resolver that can be put in the chain
+// A resolver has an id, a name, search(query, options) returning candidates { title, artist, album, duration, lrc }
+// and optionally load(candidate, options) returning the LRC text when the search doesn't include it
+export const LYRICS_RESOLVERS = [localFolderResolver, lrclibResolver];
+
+// Candidates whose length is further off than this are a different recording (radio edit, live...)
+const MAX_DURATION_DIFFERENCE = 10000;
+
+// Looks up time-synced lyrics through an ordered chain of resolvers
+// Works like the album art chain, with a stricter minScore since lyrics for a different song are worse than none
+export class LyricsResolver extends ResolverChain {
+  constructor({ baseDir }) {
+    super({
+      name: 'Lyrics',
+      resolvers: LYRICS_RESOLVERS,
+      baseDir,
+      minScore: 0.8,
+      cacheLimit: 100,
+      timeout: 5000,
+      userAgent: 'Noteworthy/1.0.0 (lyrics lookup)'
+    });
+  }
+
+  getQuery(track) {
+    return { ...super.getQuery(track), duration: track.duration || 0 };
+  }
+
+  acceptCandidate(query, candidate) {
+    return !(query.duration && candidate.duration && Math.abs(query.duration - candidate.duration) > MAX_DURATION_DIFFERENCE);
+  }
+
+  async pick(resolver, candidate, signal) {
+    const lrc = resolver.load ? await resolver.load(candidate, { signal }) : candidate.lrc;
+    const lines = parseLrc(lrc);
+    return lines.length > 0 ? { lines } : null;
+  }
+
+  // resolve() returns { lines: [{ time, text }], source }
+  toResult(match) {
+    return { lines: match.lines, source: match.resolver };
+  }
+}
@@ -0,0 +1,150 @@
+// Cleans up track metadata between the providers and everything downstream (widget, art lookup, history)
+// Order: manual renames (final), then built-in rules, then user regex rules
+// The untouched values are kept in track.raw
+
+export const METADATA_FIELDS = ['title', 'artist', 'album'];
+
+// Bracketed video/upload noise: (Official Video), [4K], (Lyrics), [MV] ...
+const VIDEO_TAG_PATTERN = /\s*[([]([^)\]]*\b(official|video|audio|lyrics?|visuali[sz]er|4k|hd|hq|mv|m\/v|clip)\b[^)\]]*)[)\]]/gi;
+const TITLE_SEPARATOR_PATTERN = /\s+[-–—]\s+/;
+const BROWSER_APP_PATTERN = /chrome|firefox|msedge|edge|opera|brave|vivaldi|safari/i;
+
+function sameName(a, b) {
+  const clean = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  return clean(a) === clean(b);
+}
+
+export const BUILTIN_RULES = [
+  {
+    id: 'videoTags',
+    description: 'Remove tags like (Official Video), [4K] and (Lyrics) from titles',
+    apply(track) {
+      track.title = track.title.replace(VIDEO_TAG_PATTERN, '');
+    }
+  },
+  {
+    id: 'topicSuffix',
+    description: 'Remove YouTube " - Topic" and "VEVO" from artist names',
+    apply(track) {
+      track.artist = track.artist.replace(/\s+-\s+Topic$/i, '').replace(/\s*VEVO$/, '');
+    }
+  },
+  {
+    id: 'artistInTitle',
+    description: 'Split "Artist - Title" titles from web players into artist and title',
+    apply(track) {
+      const parts = track.title.split(TITLE_SEPARATOR_PATTERN);
+      if (parts.length < 2) return;
+
+      const [left, ...rest] = parts;
+      // In a browser the "artist" is usually the channel name, so the title is more reliable
+      const splittable = !track.artist || sameName(left, track.artist) || BROWSER_APP_PATTERN.test(track.appName || '');
+      if (splittable && left.trim() && rest.join(' - ').trim()) {
+        track.artist = left.trim();
+        track.title = rest.join(' - ').trim();
+      }
+    }
+  },
+  {
+    id: 'featuring',
+    description: 'Write "ft.", "Feat" and "featuring" the same way (feat.)',
+    apply(track) {
+      for (const field of ['title', 'artist']) {
+        track[field] = track[field].replace(/\b(feat\.?|ft\.?|featuring)(?=\s)/gi, 'feat.');
+      }
+    }
+  }
+];
+
+// Tidy up what the rules leave behind: empty brackets, doubled spaces, dangling separators
+function tidy(text) {
+  return text
+    .replace(/\s*[([]\s*[)\]]/g, '')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+[-–—|]\s*$/, '')
+    .trim();
+}
+
+export class MetadataCleaner {
+  constructor() {
+    this.enabled = true;
+    this.builtins = {};
+    this.rules = [];
+    this.renames = [];
+  }
+
+  // Throws for a rule whose pattern isn't a valid regular expression
+  static compileRule(rule) {
+    return {
+      field: METADATA_FIELDS.includes(rule.field) ? rule.field : 'any',
+      regex: new RegExp(rule.pattern, rule.flags ?? 'gi'),
+      replacement: rule.replacement || ''
+    };
+  }
+
+  // config: { enabled, builtins: { [ruleId]: bool }, rules: [{ field, pattern, flags, replacement }],
+  //           renames: [{ match: { title, artist }, title, artist, album }] }
+  configure({ enabled, builtins, rules, renames } = {}) {
+    if (enabled !== undefined) this.enabled = Boolean(enabled);
+    if (builtins) this.builtins = builtins;
+    if (Array.isArray(renames)) this.renames = renames;
+
+    if (Array.isArray(rules)) {
+      this.rules = [];
+      for (const rule of rules) {
+        try {
+          this.rules.push(MetadataCleaner.compileRule(rule));
+        } catch (error) {
+          console.error(`Skipping metadata rule "${rule.pattern}":`, error.message);
+        }
+      }
+    }
+  }
+
+  findRename(raw) {
+    return this.renames.find(rename =>
+      rename.match?.title?.toLowerCase() === raw.title.toLowerCase() &&
+      (rename.match.artist || '').toLowerCase() === raw.artist.toLowerCase()
+    ) || null;
+  }
+
+  // Returns a cleaned copy of the track with the original values in track.raw
+  clean(track) {
+    if (!track?.title) return track;
+
+    const raw = {
+      title: track.title,
+      artist: track.artist || '',
+      album: track.album || ''
+    };
+    const result = { ...track, ...raw, raw };
+    if (!this.enabled) return result;
+
+    const rename = this.findRename(raw);
+    if (rename) {
+      METADATA_FIELDS.forEach(field => {
+        if (rename[field] !== undefined && rename[field] !== null) result[field] = rename[field];
+      });
+      return result;
+    }
+
+    BUILTIN_RULES.forEach(rule => {
+      if (this.builtins[rule.id] !== false) rule.apply(result);
+    });
+
+    this.rules.forEach(rule => {
+      const fields = rule.field === 'any' ? METADATA_FIELDS : [rule.field];
+      fields.forEach(field => {
+        result[field] = result[field].replace(rule.regex, rule.replacement);
+      });
+    });
+
+    METADATA_FIELDS.forEach(field => {
+      result[field] = tidy(result[field]);
+    });
+    // Never clean a title away completely
+    if (!result.title) result.title = raw.title;
+
+    return result;
+  }
+}
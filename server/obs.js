@@ -0,0 +1,272 @@
+import { createHash, randomUUID } from 'crypto';
+import WebSocket from 'ws';
+
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 60000;
+const REQUEST_TIMEOUT = 5000;
+
+// obs-websocket v5 - https://github.com/obsproject/obs-websocket/blob/master/docs/generated/protocol.md
+const RPC_VERSION = 1;
+const OP = { HELLO: 0, IDENTIFY: 1, IDENTIFIED: 2, EVENT: 5, REQUEST: 6, REQUEST_RESPONSE: 7 };
+// Only scene changes are needed (EventSubscription.Scenes)
+const EVENT_SUBSCRIPTIONS = 1 << 2;
+
+// What an event rule can do when a TRACK_EVENT happens
+export const OBS_ACTIONS = ['showWidget', 'hideWidget', 'switchScene', 'enableFilter', 'disableFilter'];
+
+function obsError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Identify authentication string - base64(sha256(base64(sha256(password + salt)) + challenge))
+export function obsAuthentication(password, { salt, challenge }) {
+  const secret = createHash('sha256').update(password + salt).digest('base64');
+  return createHash('sha256').update(secret + challenge).digest('base64');
+}
+
+// Talks to OBS through obs-websocket v5 (built into OBS 28+)
+// Shows or hides the widget's browser source per scene, runs event rules on music events
+// (e.g. hide the widget once nothing has played for a minute) and sets the source's size
+export class ObsController {
+  constructor() {
+    this.config = { enabled: false, sceneRules: [], eventRules: [] };
+    this.socket = null;
+    this.identified = false;
+    this.stopped = true;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.lastError = null;
+    this.obsVersion = null;
+    this.scene = null;
+    // requestId -> { resolve, reject, timer }
+    this.pending = new Map();
+    // Delayed event rules waiting to run - any new music event cancels them
+    this.ruleTimers = new Set();
+  }
+
+  // config: { enabled, url, password, widgetSource, syncSize, sceneRules: [{ scene, widget }],
+  //           eventRules: [{ event, delay, action, scene, source, filter }] }
+  configure(config) {
+    this.config = config;
+    this.stop();
+    if (!config.enabled) return;
+
+    if (!config.url) {
+      this.lastError = 'Set the obs-websocket address first';
+      return;
+    }
+    this.start();
+  }
+
+  start() {
+    this.stopped = false;
+    this.reconnectAttempts = 0;
+    this.lastError = null;
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.clearRuleTimers();
+    this.disconnect();
+  }
+
+  disconnect() {
+    this.identified = false;
+    this.scene = null;
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(obsError('Disconnected from OBS', 'NOT_CONNECTED'));
+    }
+    this.pending.clear();
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on('error', () => {});
+      this.socket.terminate();
+      this.socket = null;
+    }
+  }
+
+  connect() {
+    const socket = new WebSocket(this.config.url, 'obswebsocket.json');
+    this.socket = socket;
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (e) {
+        return;
+      }
+      this.handleMessage(message).catch((error) => {
+        this.lastError = error.message;
+        console.error('OBS error:', error.message);
+      });
+    });
+    socket.on('error', (error) => {
+      this.lastError = error.message;
+      console.error('OBS connection error:', error.message);
+    });
+    socket.on('close', (code, reason) => {
+      if (this.socket !== socket) return;
+      // 4009 is a wrong password - OBS says why in the close reason
+      if (code >= 4000 && reason.length) {
+        this.lastError = reason.toString();
+      }
+      this.disconnect();
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (this.stopped) return;
+    const delay = Math.min(RECONNECT_DELAY * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY);
+    this.reconnectAttempts++;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.stopped) this.connect();
+    }, delay);
+  }
+
+  send(op, d) {
+    this.socket?.send(JSON.stringify({ op, d }));
+  }
+
+  async handleMessage({ op, d }) {
+    if (op === OP.HELLO) {
+      const identify = { rpcVersion: RPC_VERSION, eventSubscriptions: EVENT_SUBSCRIPTIONS };
+      if (d.authentication) {
+        identify.authentication = obsAuthentication(this.config.password || '', d.authentication);
+      }
+      this.obsVersion = d.obsWebSocketVersion || null;
+      this.send(OP.IDENTIFY, identify);
+    } else if (op === OP.IDENTIFIED) {
+      this.identified = true;
+      this.reconnectAttempts = 0;
+      this.lastError = null;
+      console.log(`Connected to OBS (obs-websocket ${this.obsVersion || 'v5'})`);
+      const { currentProgramSceneName } = await this.request('GetCurrentProgramScene');
+      await this.sceneChanged(currentProgramSceneName);
+    } else if (op === OP.EVENT) {
+      if (d.eventType === 'CurrentProgramSceneChanged') {
+        await this.sceneChanged(d.eventData.sceneName);
+      }
+    } else if (op === OP.REQUEST_RESPONSE) {
+      const pending = this.pending.get(d.requestId);
+      if (!pending) return;
+      this.pending.delete(d.requestId);
+      clearTimeout(pending.timer);
+      if (d.requestStatus.result) {
+        pending.resolve(d.responseData || {});
+      } else {
+        pending.reject(obsError(`${d.requestType}: ${d.requestStatus.comment || `error ${d.requestStatus.code}`}`, 'REQUEST_FAILED'));
+      }
+    }
+  }
+
+  // Send an obs-websocket request and wait for its response data
+  request(requestType, requestData = {}) {
+    if (!this.identified) {
+      return Promise.reject(obsError('Not connected to OBS', 'NOT_CONNECTED'));
+    }
+
+    const requestId = randomUUID();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        reject(obsError(`${requestType}: OBS did not answer`, 'TIMEOUT'));
+      }, REQUEST_TIMEOUT);
+      this.pending.set(requestId, { resolve, reject, timer });
+      this.send(OP.REQUEST, { requestType, requestId, requestData });
+    });
+  }
+
+  // Show or hide a source in a scene (a scene item)
+  async setSourceVisible(sceneName, sourceName, visible) {
+    const { sceneItemId } = await this.request('GetSceneItemId', { sceneName, sourceName });
+    await this.request('SetSceneItemEnabled', { sceneName, sceneItemId, sceneItemEnabled: visible });
+  }
+
+  // A scene went live - apply its scene rule, if it has one
+  async sceneChanged(sceneName) {
+    this.scene = sceneName;
+    const rule = (this.config.sceneRules || []).find(other => other.scene === sceneName);
+    if (!rule || !this.config.widgetSource) return;
+
+    await this.setSourceVisible(sceneName, this.config.widgetSource, rule.widget === 'show');
+  }
+
+  clearRuleTimers() {
+    this.ruleTimers.forEach(timer => clearTimeout(timer));
+    this.ruleTimers.clear();
+  }
+
+  // Call with the TRACK_EVENTS of each main feed change
+  // Rules with a delay only run if nothing else happened in the meantime ("idle for a minute")
+  trackEvents(events) {
+    if (!this.identified || events.length === 0) return;
+    this.clearRuleTimers();
+
+    for (const rule of this.config.eventRules || []) {
+      if (!events.includes(rule.event)) continue;
+
+      const run = () => this.runAction(rule).catch((error) => {
+        this.lastError = error.message;
+        console.error('OBS rule error:', error.message);
+      });
+      if (rule.delay > 0) {
+        const timer = setTimeout(() => {
+          this.ruleTimers.delete(timer);
+          run();
+        }, rule.delay * 1000);
+        this.ruleTimers.add(timer);
+      } else {
+        run();
+      }
+    }
+  }
+
+  async runAction({ action, scene, source, filter }) {
+    switch (action) {
+      case 'showWidget':
+      case 'hideWidget':
+        // The widget in whatever scene is live
+        if (!this.scene || !this.config.widgetSource) return;
+        await this.setSourceVisible(this.scene, this.config.widgetSource, action === 'showWidget');
+        break;
+      case 'switchScene':
+        await this.request('SetCurrentProgramScene', { sceneName: scene });
+        break;
+      case 'enableFilter':
+      case 'disableFilter':
+        await this.request('SetSourceFilterEnabled', { sourceName: source, filterName: filter, filterEnabled: action === 'enableFilter' });
+        break;
+    }
+  }
+
+  // Scene names, for picking them on the config page
+  async getScenes() {
+    const { scenes } = await this.request('GetSceneList');
+    // OBS lists them bottom to top
+    return scenes.map(scene => scene.sceneName).reverse();
+  }
+
+  // Set a browser source's width and height, e.g. to the widget's canvasSize
+  async setSourceSize(sourceName, { width, height }) {
+    await this.request('SetInputSettings', { inputName: sourceName, inputSettings: { width, height }, overlay: true });
+  }
+
+  getStatus() {
+    return {
+      running: !this.stopped,
+      connected: this.identified,
+      obsVersion: this.obsVersion,
+      scene: this.scene,
+      lastError: this.lastError
+    };
+  }
+}
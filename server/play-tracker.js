@@ -0,0 +1,75 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+// Longest gap between two updates still counted as listening time
+// (covers slow polls without counting a sleeping PC as playback)
+const MAX_UPDATE_GAP = 5000;
+
+// Follows the broadcast track and keeps one "play" per track with the time actually played
+// Emits 'start' when a new track begins and 'end' with the final played time when it is replaced or stops
+export class PlayTracker extends EventEmitter {
+  constructor() {
+    super();
+    this.current = null;
+  }
+
+  static keyOf(track) {
+    return track?.title ? `${track.title}-${track.artist}` : null;
+  }
+
+  // Call on every poll with the selected track (or null)
+  update(track, now = Date.now()) {
+    const key = PlayTracker.keyOf(track);
+
+    if (key !== this.current?.key) {
+      this.end(now);
+      if (key) {
+        this.start(track, key, now);
+      }
+      return;
+    }
+
+    if (!this.current) return;
+
+    if (this.current.playing) {
+      this.current.playedMs += Math.min(now - this.current.updatedAt, MAX_UPDATE_GAP);
+    }
+    this.current.playing = Boolean(track.playing);
+    this.current.updatedAt = now;
+    this.current.progress = track.progress || 0;
+    if (track.duration) {
+      this.current.duration = track.duration;
+    }
+  }
+
+  start(track, key, now) {
+    this.current = {
+      id: randomUUID(),
+      key,
+      title: track.title,
+      artist: track.artist || '',
+      album: track.album || '',
+      appName: track.appName || '',
+      source: track.source || '',
+      duration: track.duration || 0,
+      progress: track.progress || 0,
+      startedAt: new Date(now).toISOString(),
+      playedMs: 0,
+      playing: Boolean(track.playing),
+      updatedAt: now
+    };
+    this.emit('start', { ...this.current });
+  }
+
+  // Finish the current play (track changed, playback went idle or the server is stopping)
+  end(now = Date.now()) {
+    if (!this.current) return;
+
+    if (this.current.playing) {
+      this.current.playedMs += Math.min(now - this.current.updatedAt, MAX_UPDATE_GAP);
+    }
+    const play = { ...this.current, endedAt: new Date(now).toISOString() };
+    this.current = null;
+    this.emit('end', play);
+  }
+}
@@ -0,0 +1,80 @@
+import { EventEmitter } from 'events';
+
+// Playback commands accepted by control()
+export const CONTROL_ACTIONS = ['play', 'pause', 'toggle', 'next', 'previous', 'seek'];
+
+// Common interface for media providers
+// Subclasses implement getCurrentTrack() and override capabilities/isSupported as needed
+// Event-driven providers emit 'change' so the server can react without waiting for the next poll
+export class MediaProvider extends EventEmitter {
+  constructor(id, name) {
+    super();
+    this.id = id;
+    this.name = name;
+    this.health = {
+      status: 'unknown',     // 'ok', 'idle', 'error' or 'unsupported'
+      lastError: null,
+      lastCheckedAt: null,
+      lastPlayingAt: null
+    };
+  }
+
+  // What this provider can do - used by the registry and the config page
+  get capabilities() {
+    return {
+      metadata: true,
+      albumArt: false,
+      progress: false,
+      control: false
+    };
+  }
+
+  // Whether this provider can run on the current machine at all
+  isSupported() {
+    return true;
+  }
+
+  async getCurrentTrack() {
+    throw new Error(`Provider "${this.id}" does not implement getCurrentTrack()`);
+  }
+
+  // Every session this provider can see, in the same shape as getCurrentTrack()
+  // Providers that only know one session get this for free; errors should be thrown
+  async getSessions() {
+    const track = await this.getCurrentTrack();
+    if (track?.error) {
+      throw new Error(track.error);
+    }
+    return track?.title ? [track] : [];
+  }
+
+  // Send a playback command (one of CONTROL_ACTIONS) to the session showing appName
+  // options.position is the seek target in milliseconds
+  async control(action, options = {}) {
+    const error = new Error(`${this.name} does not support playback control`);
+    error.code = 'UNSUPPORTED';
+    throw error;
+  }
+
+  // Update health from the result of a getCurrentTrack() call
+  reportResult(track) {
+    this.health.lastCheckedAt = new Date().toISOString();
+
+    if (track?.error) {
+      this.health.status = 'error';
+      this.health.lastError = track.error;
+    } else if (track?.playing) {
+      this.health.status = 'ok';
+      this.health.lastPlayingAt = this.health.lastCheckedAt;
+    } else {
+      this.health.status = 'idle';
+    }
+  }
+
+  getHealth() {
+    if (!this.isSupported()) {
+      return { ...this.health, status: 'unsupported' };
+    }
+    return { ...this.health };
+  }
+}
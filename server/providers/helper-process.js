@@ -0,0 +1,140 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+
+// Helpers still running when the server exits are killed with it
+const liveChildren = new Set();
+process.on('exit', () => {
+  liveChildren.forEach(child => child.kill());
+});
+
+// Runs a long-lived helper process that writes newline-delimited JSON to stdout
+// Emits 'message' for every parsed line and restarts the helper with backoff when it exits
+// With raw: true stdout is binary (e.g. audio) and emitted as 'data' Buffers instead
+// spawnProcess can be swapped for a fake child process in tests
+export class HelperProcess extends EventEmitter {
+  constructor({ command, args = [], raw = false, spawnProcess = spawn, restartDelay = 1000, maxRestartDelay = 30000 }) {
+    super();
+    this.command = command;
+    this.args = args;
+    this.raw = raw;
+    this.spawnProcess = spawnProcess;
+    this.restartDelay = restartDelay;
+    this.maxRestartDelay = maxRestartDelay;
+
+    this.child = null;
+    this.buffer = '';
+    this.stopped = true;
+    this.restartTimer = null;
+    this.restartAttempts = 0;
+  }
+
+  get running() {
+    return !this.stopped;
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    this.launch();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+
+    if (this.child) {
+      const child = this.child;
+      this.child = null;
+      liveChildren.delete(child);
+      child.kill();
+    }
+  }
+
+  launch() {
+    this.buffer = '';
+
+    let child;
+    try {
+      child = this.spawnProcess(this.command, this.args, {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        windowsHide: true
+      });
+    } catch (error) {
+      this.emit('error', error);
+      this.scheduleRestart();
+      return;
+    }
+    this.child = child;
+    liveChildren.add(child);
+
+    if (this.raw) {
+      child.stdout.on('data', (chunk) => {
+        this.restartAttempts = 0;
+        this.emit('data', chunk);
+      });
+    } else {
+      child.stdout.setEncoding('utf8');
+      child.stdout.on('data', (chunk) => this.handleData(chunk));
+    }
+
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      console.error(`${this.command} stderr:`, chunk.trim());
+    });
+
+    // 'exit' does not always follow 'error' (e.g. command not found), so handle both once
+    child.on('error', (error) => {
+      this.emit('error', error);
+      this.handleExit(child, null);
+    });
+    child.on('exit', (code) => this.handleExit(child, code));
+  }
+
+  handleData(chunk) {
+    this.buffer += chunk;
+
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.indexOf('\n')) >= 0) {
+      const line = this.buffer.slice(0, newlineIndex).trim();
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+      if (!line) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        console.error(`${this.command} sent invalid JSON:`, line.slice(0, 200));
+        continue;
+      }
+
+      // A helper that produces output is healthy again
+      this.restartAttempts = 0;
+      this.emit('message', message);
+    }
+  }
+
+  handleExit(child, code) {
+    liveChildren.delete(child);
+    if (this.child !== child) return;
+    this.child = null;
+    this.emit('exit', code);
+
+    if (!this.stopped) {
+      this.scheduleRestart();
+    }
+  }
+
+  scheduleRestart() {
+    const delay = Math.min(this.restartDelay * 2 ** this.restartAttempts, this.maxRestartDelay);
+    this.restartAttempts++;
+
+    clearTimeout(this.restartTimer);
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (!this.stopped) {
+        this.launch();
+      }
+    }, delay);
+  }
+}
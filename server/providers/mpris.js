@@ -0,0 +1,397 @@
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { extname, join } from 'path';
+import dbus from 'dbus-next';
+import { MediaProvider } from './base.js';
+
+const MPRIS_PREFIX = 'org.mpris.MediaPlayer2.';
+const MPRIS_PATH = '/org/mpris/MediaPlayer2';
+const PLAYER_IFACE = 'org.mpris.MediaPlayer2.Player';
+const PROPERTIES_IFACE = 'org.freedesktop.DBus.Properties';
+const RECONNECT_DELAY = 5000;
+
+// MPRIS method and the Can* property that says whether the player allows it
+const CONTROL_METHODS = {
+  play: { method: 'Play', allowed: 'CanPlay' },
+  pause: { method: 'Pause', allowed: 'CanPause' },
+  toggle: { method: 'PlayPause', allowed: 'CanPause' },
+  next: { method: 'Next', allowed: 'CanGoNext' },
+  previous: { method: 'Previous', allowed: 'CanGoPrevious' },
+  seek: { method: 'SetPosition', allowed: 'CanSeek' }
+};
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+// dbus-next wraps dictionary values in Variants
+function unwrap(value) {
+  return value instanceof dbus.Variant ? value.value : value;
+}
+
+// 64-bit integers (mpris:length, Position) arrive as BigInt
+function toNumber(value) {
+  return typeof value === 'bigint' ? Number(value) : (Number(value) || 0);
+}
+
+// Errors with a code, so the control API can answer with the right status
+function providerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// org.mpris.MediaPlayer2.firefox.instance_1_42 -> firefox
+function appNameFromBusName(name) {
+  return name.slice(MPRIS_PREFIX.length).replace(/\.instance[\w-]*$/, '');
+}
+
+// Linux media provider - reads MPRIS players on the D-Bus session bus
+// Player state is kept up to date from PropertiesChanged/Seeked signals,
+// so getCurrentTrack() only reads the cached state
+export class MprisMediaProvider extends MediaProvider {
+  constructor(options = {}) {
+    super('mpris', 'Linux MPRIS');
+    // Defaults to DBUS_SESSION_BUS_ADDRESS or $XDG_RUNTIME_DIR/bus, point it at a private dbus-daemon for testing
+    this.busAddress = options.busAddress || null;
+    this.bus = null;
+    this.connecting = null;
+    this.lastConnectAttempt = 0;
+    this.lastConnectError = null;
+    this.players = new Map();
+    // Cache file:// artwork as data URIs so the widget can display it
+    this.artCache = new Map();
+  }
+
+  get capabilities() {
+    return {
+      metadata: true,
+      albumArt: true,
+      progress: true,
+      control: true
+    };
+  }
+
+  // Session bus address - configured, from the environment, or the usual systemd socket
+  // null when there is none (e.g. a server without a desktop session)
+  getBusAddress() {
+    if (this.busAddress) return this.busAddress;
+    if (process.env.DBUS_SESSION_BUS_ADDRESS) return process.env.DBUS_SESSION_BUS_ADDRESS;
+    if (process.platform !== 'linux' || !process.env.XDG_RUNTIME_DIR) return null;
+
+    const socketPath = join(process.env.XDG_RUNTIME_DIR, 'bus');
+    return existsSync(socketPath) ? `unix:path=${socketPath}` : null;
+  }
+
+  isSupported() {
+    return Boolean(this.getBusAddress());
+  }
+
+  async getSessions() {
+    if (!this.isSupported()) {
+      throw new Error('No D-Bus session bus found (set providers.mprisBusAddress or DBUS_SESSION_BUS_ADDRESS)');
+    }
+
+    await this.ensureConnected();
+
+    const players = [...this.players.values()].filter(player => unwrap(player.metadata['xesam:title']));
+    return Promise.all(players.map(player => this.toTrack(player)));
+  }
+
+  async getCurrentTrack() {
+    if (!this.isSupported()) {
+      return {
+        playing: false,
+        error: 'No D-Bus session bus found (set providers.mprisBusAddress or DBUS_SESSION_BUS_ADDRESS)'
+      };
+    }
+
+    try {
+      await this.ensureConnected();
+    } catch (error) {
+      return {
+        playing: false,
+        error: error.message
+      };
+    }
+
+    const player = this.pickPlayer();
+    if (!player) {
+      return { playing: false, error: 'No MPRIS player found' };
+    }
+
+    return this.toTrack(player);
+  }
+
+  async toTrack(player) {
+    const meta = (key) => unwrap(player.metadata[key]);
+    const artist = meta('xesam:artist');
+
+    return {
+      playing: player.status === 'Playing',
+      title: meta('xesam:title') || '',
+      artist: Array.isArray(artist) ? artist.join(', ') : (artist || ''),
+      album: meta('xesam:album') || '',
+      albumArt: await this.resolveArtUrl(meta('mpris:artUrl')),
+      duration: Math.round(toNumber(meta('mpris:length')) / 1000),
+      progress: Math.round(this.getPosition(player)),
+      source: 'mpris',
+      appName: player.appName
+    };
+  }
+
+  async control(action, { appName, position } = {}) {
+    await this.ensureConnected();
+
+    const player = [...this.players.values()].find(candidate => candidate.appName === appName) || this.pickPlayer();
+    if (!player || !player.playerIface) {
+      throw providerError('No MPRIS player found', 'NO_SESSION');
+    }
+
+    const { method, allowed } = CONTROL_METHODS[action];
+    if (player.can[allowed] === false) {
+      throw providerError(`${player.appName} does not allow ${action}`, 'UNSUPPORTED');
+    }
+
+    try {
+      if (action !== 'seek') {
+        await player.playerIface[method]();
+        return;
+      }
+
+      // SetPosition needs the current track id, players without one only support relative Seek
+      const target = BigInt(Math.round(position * 1000));
+      const trackId = unwrap(player.metadata['mpris:trackid']);
+      if (trackId) {
+        await player.playerIface.SetPosition(trackId, target);
+      } else {
+        await player.playerIface.Seek(target - BigInt(Math.round(this.getPosition(player) * 1000)));
+      }
+    } catch (error) {
+      throw providerError(`${player.appName} rejected ${action}: ${error.message}`, 'PROVIDER_ERROR');
+    }
+  }
+
+  // Connect once, retrying at most every RECONNECT_DELAY after a failure
+  async ensureConnected() {
+    if (this.bus) return;
+
+    if (!this.connecting) {
+      if (this.lastConnectError && Date.now() - this.lastConnectAttempt < RECONNECT_DELAY) {
+        throw providerError(this.lastConnectError, 'PROVIDER_ERROR');
+      }
+
+      this.lastConnectAttempt = Date.now();
+      this.connecting = this.connect()
+        .then(() => {
+          this.lastConnectError = null;
+        })
+        .catch((error) => {
+          this.lastConnectError = `D-Bus session bus unavailable: ${error.message}`;
+          this.disconnect();
+          throw providerError(this.lastConnectError, 'PROVIDER_ERROR');
+        })
+        .finally(() => {
+          this.connecting = null;
+        });
+    }
+
+    return this.connecting;
+  }
+
+  async connect() {
+    const bus = dbus.sessionBus({ busAddress: this.getBusAddress() });
+
+    await new Promise((resolve, reject) => {
+      bus.once('connect', resolve);
+      bus.once('error', reject);
+    });
+
+    bus.on('error', (error) => {
+      console.error('MPRIS bus error:', error.message);
+      this.disconnect();
+      this.emit('change');
+    });
+
+    const dbusObject = await bus.getProxyObject('org.freedesktop.DBus', '/org/freedesktop/DBus');
+    const dbusIface = dbusObject.getInterface('org.freedesktop.DBus');
+
+    // Players come and go as apps start and quit
+    dbusIface.on('NameOwnerChanged', (name, oldOwner, newOwner) => {
+      if (!name.startsWith(MPRIS_PREFIX)) return;
+      if (newOwner) {
+        this.addPlayer(name);
+      } else {
+        this.removePlayer(name);
+      }
+    });
+
+    this.bus = bus;
+
+    const names = await dbusIface.ListNames();
+    await Promise.all(names.filter(name => name.startsWith(MPRIS_PREFIX)).map(name => this.addPlayer(name)));
+  }
+
+  disconnect() {
+    if (this.bus) {
+      this.bus.disconnect();
+    }
+    this.bus = null;
+    this.players.clear();
+  }
+
+  async addPlayer(name) {
+    if (!this.bus || this.players.has(name)) return;
+
+    const player = {
+      name,
+      appName: appNameFromBusName(name),
+      status: 'Stopped',
+      metadata: {},
+      positionMs: 0,
+      positionAt: Date.now(),
+      rate: 1,
+      updatedAt: 0,
+      lastPlayingAt: 0,
+      can: {},
+      properties: null,
+      playerIface: null
+    };
+    this.players.set(name, player);
+
+    try {
+      const object = await this.bus.getProxyObject(name, MPRIS_PATH);
+      player.properties = object.getInterface(PROPERTIES_IFACE);
+
+      player.properties.on('PropertiesChanged', (iface, changed) => {
+        if (iface !== PLAYER_IFACE || this.players.get(name) !== player) return;
+        this.applyProperties(player, changed);
+        this.emit('change');
+      });
+
+      // Seeked is the only notification for position jumps
+      player.playerIface = object.getInterface(PLAYER_IFACE);
+      player.playerIface.on('Seeked', (position) => {
+        player.positionMs = toNumber(position) / 1000;
+        player.positionAt = Date.now();
+        this.emit('change');
+      });
+
+      const properties = await player.properties.GetAll(PLAYER_IFACE);
+      if (this.players.get(name) !== player) return;
+      this.applyProperties(player, properties);
+      this.emit('change');
+    } catch (error) {
+      console.error(`MPRIS: could not read player ${name}:`, error.message);
+      if (this.players.get(name) === player) {
+        this.players.delete(name);
+      }
+    }
+  }
+
+  removePlayer(name) {
+    if (this.players.delete(name)) {
+      this.emit('change');
+    }
+  }
+
+  applyProperties(player, properties) {
+    const now = Date.now();
+
+    if ('PlaybackStatus' in properties) {
+      // Freeze the extrapolated position before the status flips
+      player.positionMs = this.getPosition(player);
+      player.positionAt = now;
+      player.status = unwrap(properties.PlaybackStatus);
+    }
+    if ('Metadata' in properties) {
+      player.metadata = unwrap(properties.Metadata) || {};
+    }
+    if ('Rate' in properties) {
+      player.rate = Number(unwrap(properties.Rate)) || 1;
+    }
+    for (const { allowed } of Object.values(CONTROL_METHODS)) {
+      if (allowed in properties) {
+        player.can[allowed] = unwrap(properties[allowed]);
+      }
+    }
+    if ('Position' in properties) {
+      player.positionMs = toNumber(unwrap(properties.Position)) / 1000;
+      player.positionAt = now;
+    } else if ('PlaybackStatus' in properties || 'Metadata' in properties) {
+      // Position is not part of PropertiesChanged, so ask for it
+      this.refreshPosition(player);
+    }
+
+    player.updatedAt = now;
+    if (player.status === 'Playing') {
+      player.lastPlayingAt = now;
+    }
+  }
+
+  async refreshPosition(player) {
+    try {
+      const position = await player.properties.Get(PLAYER_IFACE, 'Position');
+      player.positionMs = toNumber(unwrap(position)) / 1000;
+      player.positionAt = Date.now();
+      this.emit('change');
+    } catch (error) {
+      // Some players don't expose Position - keep the extrapolated value
+    }
+  }
+
+  // Position extrapolated from the last known value while playing
+  getPosition(player) {
+    if (player.status !== 'Playing') {
+      return player.positionMs;
+    }
+
+    const position = player.positionMs + (Date.now() - player.positionAt) * player.rate;
+    const length = toNumber(unwrap(player.metadata['mpris:length'])) / 1000;
+    return length > 0 ? Math.min(position, length) : position;
+  }
+
+  // Prefer the most recently playing player, then the most recently updated one with a track
+  pickPlayer() {
+    const candidates = [...this.players.values()].filter(player => unwrap(player.metadata['xesam:title']));
+    if (candidates.length === 0) return null;
+
+    const playing = candidates.filter(player => player.status === 'Playing');
+    if (playing.length > 0) {
+      return playing.sort((a, b) => b.lastPlayingAt - a.lastPlayingAt)[0];
+    }
+    return candidates.sort((a, b) => b.updatedAt - a.updatedAt)[0];
+  }
+
+  async resolveArtUrl(artUrl) {
+    if (!artUrl) return null;
+    if (/^(https?|data):/i.test(artUrl)) return artUrl;
+    if (!artUrl.startsWith('file://')) return null;
+
+    if (this.artCache.has(artUrl)) {
+      return this.artCache.get(artUrl);
+    }
+
+    try {
+      const filePath = fileURLToPath(artUrl);
+      const bytes = await readFile(filePath);
+      const type = IMAGE_TYPES[extname(filePath).toLowerCase()] || 'image/png';
+      const dataUri = `data:${type};base64,${bytes.toString('base64')}`;
+
+      this.artCache.set(artUrl, dataUri);
+      // Limit cache size
+      if (this.artCache.size > 20) {
+        const firstKey = this.artCache.keys().next().value;
+        this.artCache.delete(firstKey);
+      }
+      return dataUri;
+    } catch (error) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,177 @@
+import { EventEmitter } from 'events';
+import { CONTROL_ACTIONS } from './base.js';
+import { SessionSelector } from './session-selector.js';
+
+// Provider registry - collects sessions from every provider in priority order
+// and picks the one to broadcast, falling back when a provider errors or has nothing playing
+// metadataCleaner (optional) tidies titles/artists before anything else sees them
+// artResolver (optional) looks up art for tracks whose provider has none
+export class ProviderRegistry extends EventEmitter {
+  constructor({ metadataCleaner = null, artResolver = null } = {}) {
+    super();
+    this.metadataCleaner = metadataCleaner;
+    this.artResolver = artResolver;
+    this.providers = new Map();
+    this.active = 'auto';
+    this.priority = [];
+    this.currentProviderId = null;
+    this.selector = new SessionSelector();
+    this.sessions = [];
+    this.selectedSession = null;
+  }
+
+  register(provider) {
+    this.providers.set(provider.id, provider);
+    provider.on('change', () => this.emit('change', provider.id));
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  configure({ active, priority } = {}) {
+    if (active !== undefined) {
+      this.active = active || 'auto';
+    }
+    if (Array.isArray(priority)) {
+      this.priority = priority.filter(id => typeof id === 'string');
+    }
+  }
+
+  // Active provider first, then the configured priority, then anything else registered
+  getOrder() {
+    const order = [];
+    const add = (id) => {
+      if (this.providers.has(id) && !order.includes(id)) {
+        order.push(id);
+      }
+    };
+
+    if (this.active !== 'auto') add(this.active);
+    this.priority.forEach(add);
+    this.providers.forEach((provider, id) => add(id));
+
+    return order;
+  }
+
+  // Sessions from every supported provider, in provider order
+  async getSessions() {
+    const sessions = [];
+    let lastError = null;
+
+    for (const id of this.getOrder()) {
+      const provider = this.providers.get(id);
+      if (!provider.isSupported()) continue;
+
+      try {
+        const providerSessions = await provider.getSessions();
+        providerSessions.forEach(session => {
+          session.source = session.source || id;
+        });
+        provider.reportResult(providerSessions.find(session => session.playing) || { playing: false });
+        sessions.push(...providerSessions.filter(session => session.title));
+      } catch (error) {
+        provider.reportResult({ playing: false, error: error.message });
+        lastError = error.message;
+      }
+    }
+
+    return { sessions, lastError };
+  }
+
+  async getCurrentTrack() {
+    const supported = [...this.providers.values()].some(provider => provider.isSupported());
+    if (!supported) {
+      this.currentProviderId = null;
+      return { playing: false, error: 'No media provider available on this system' };
+    }
+
+    const { sessions, lastError } = await this.getSessions();
+    const selected = this.selector.select(sessions, this.active);
+    this.sessions = sessions;
+    this.selectedSession = selected;
+
+    if (!selected) {
+      this.currentProviderId = null;
+      return lastError ? { playing: false, error: lastError } : { playing: false };
+    }
+
+    this.currentProviderId = selected.source;
+    return this.prepareTrack(selected);
+  }
+
+  // Pick a session from the last poll with other app rules (e.g. a widget instance's own filter)
+  async selectWith(selector, activeProvider = this.active) {
+    const selected = selector.select(this.sessions, activeProvider);
+    return selected ? this.prepareTrack(selected) : { playing: false };
+  }
+
+  // Turn a session into the track sent to widgets
+  async prepareTrack(session) {
+    // Clean names first so art lookups and overrides see the tidy version
+    const track = this.metadataCleaner ? this.metadataCleaner.clean(session) : { ...session };
+
+    // Art pinned to the track wins; otherwise look it up when the provider has none
+    const override = this.artResolver?.getOverride(track);
+    if (override) {
+      track.albumArt = override.url;
+    } else if (!track.albumArt && this.artResolver) {
+      track.albumArt = await this.artResolver.resolve(track);
+    }
+
+    return track;
+  }
+
+  // Route a playback command to the provider of the session currently shown
+  async control(action, options = {}) {
+    if (!CONTROL_ACTIONS.includes(action)) {
+      const error = new Error(`Unknown action "${action}"`);
+      error.code = 'INVALID';
+      throw error;
+    }
+    if (action === 'seek' && !(Number.isFinite(options.position) && options.position >= 0)) {
+      const error = new Error('Seek needs a position in milliseconds');
+      error.code = 'INVALID';
+      throw error;
+    }
+
+    const session = this.selectedSession;
+    if (!session) {
+      const error = new Error('Nothing is playing');
+      error.code = 'NO_SESSION';
+      throw error;
+    }
+
+    const provider = this.providers.get(session.source);
+    await provider.control(action, { appName: session.appName, position: options.position });
+  }
+
+  // Lightweight list of the sessions seen on the last poll (no artwork)
+  getSessionSummaries() {
+    return this.sessions.map(session => ({
+      source: session.source,
+      appName: session.appName || null,
+      title: session.title,
+      artist: session.artist,
+      playing: Boolean(session.playing),
+      allowed: this.selector.isAllowed(session),
+      selected: session === this.selectedSession
+    }));
+  }
+
+  getStatus() {
+    return {
+      active: this.active,
+      priority: this.priority,
+      current: this.currentProviderId,
+      order: this.getOrder(),
+      providers: [...this.providers.values()].map(provider => ({
+        id: provider.id,
+        name: provider.name,
+        supported: provider.isSupported(),
+        capabilities: provider.capabilities,
+        health: provider.getHealth()
+      }))
+    };
+  }
+}
@@ -0,0 +1,98 @@
+// Picks the one session to broadcast out of everything the providers can see
+// Apps are filtered by allowlist/blocklist, a pinned app wins whenever it has a track,
+// otherwise the session that most recently started playing wins
+export class SessionSelector {
+  constructor() {
+    this.allowlist = [];
+    this.blocklist = [];
+    this.preferredApp = '';
+    // Per-session playback history for the "most recently playing" heuristic
+    this.history = new Map();
+  }
+
+  configure({ allowlist, blocklist, preferredApp } = {}) {
+    if (Array.isArray(allowlist)) this.allowlist = allowlist;
+    if (Array.isArray(blocklist)) this.blocklist = blocklist;
+    if (preferredApp !== undefined) this.preferredApp = preferredApp || '';
+  }
+
+  getRules() {
+    return {
+      allowlist: this.allowlist,
+      blocklist: this.blocklist,
+      preferredApp: this.preferredApp
+    };
+  }
+
+  static key(session) {
+    return `${session.source}:${session.appName || ''}`;
+  }
+
+  // App names are compared case-insensitively
+  static matches(list, appName) {
+    const name = (appName || '').toLowerCase();
+    return list.some(entry => entry.toLowerCase() === name);
+  }
+
+  isAllowed(session) {
+    if (this.allowlist.length > 0 && !SessionSelector.matches(this.allowlist, session.appName)) {
+      return false;
+    }
+    return !SessionSelector.matches(this.blocklist, session.appName);
+  }
+
+  // Record when each session started and last was playing
+  updateHistory(sessions) {
+    const now = Date.now();
+    const seen = new Set();
+
+    for (const session of sessions) {
+      const key = SessionSelector.key(session);
+      const entry = this.history.get(key) || { playingSince: null, lastPlayingAt: 0 };
+      seen.add(key);
+
+      if (session.playing) {
+        entry.playingSince = entry.playingSince || now;
+        entry.lastPlayingAt = now;
+      } else {
+        entry.playingSince = null;
+      }
+      this.history.set(key, entry);
+    }
+
+    // Forget sessions whose app has closed
+    for (const key of this.history.keys()) {
+      if (!seen.has(key)) this.history.delete(key);
+    }
+  }
+
+  // sessions are in provider priority order; activeProvider is the registry's active id or 'auto'
+  select(sessions, activeProvider = 'auto') {
+    this.updateHistory(sessions);
+
+    const candidates = sessions.filter(session => session.title && this.isAllowed(session));
+    if (candidates.length === 0) return null;
+
+    if (this.preferredApp) {
+      const pinned = candidates.find(session => SessionSelector.matches([this.preferredApp], session.appName));
+      if (pinned) return pinned;
+    }
+
+    const history = (session) => this.history.get(SessionSelector.key(session));
+    const fromActive = (list) => {
+      if (activeProvider === 'auto') return list;
+      const active = list.filter(session => session.source === activeProvider);
+      return active.length > 0 ? active : list;
+    };
+
+    // Most recently started wins; sort is stable so provider priority breaks ties
+    const playing = fromActive(candidates.filter(session => session.playing));
+    if (playing.length > 0) {
+      return [...playing].sort((a, b) => history(b).playingSince - history(a).playingSince)[0];
+    }
+
+    // Nothing playing - stay on whatever was playing last
+    const paused = fromActive(candidates);
+    return [...paused].sort((a, b) => history(b).lastPlayingAt - history(a).lastPlayingAt)[0];
+  }
+}
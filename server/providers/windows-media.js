@@ -1,128 +1,154 @@
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import fetch from 'node-fetch';
+import { MediaProvider } from './base.js';
+import { HelperProcess } from './helper-process.js';
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-export class WindowsMediaProvider {
-  constructor() {
-    this.lastTrack = null;
-    this.playbackStartTime = null;
-    this.scriptPath = join(__dirname, '../scripts/get-media-info.ps1');
-    // Cache album art lookups to avoid repeated API calls
-    this.albumArtCache = new Map();
+// The control API answers these with 502 - the command reached Windows but didn't go through
+function providerError(message) {
+  const error = new Error(message);
+  error.code = 'PROVIDER_ERROR';
+  return error;
+}
+
+export class WindowsMediaProvider extends MediaProvider {
+  constructor(options = {}) {
+    super('windows', 'Windows Media Session');
+    this.platform = options.platform || process.platform;
+    this.scriptPath = join(__dirname, '../scripts/watch-media-sessions.ps1');
+    this.controlScriptPath = join(__dirname, '../scripts/control-media.ps1');
+
+    // Latest snapshot from the watcher: { current, sessions } or { error }
+    this.state = null;
+
+    // Long-lived PowerShell watcher - streams one JSON line per session change
+    this.watcher = new HelperProcess({
+      command: 'powershell',
+      args: ['-NoProfile', '-ExecutionPolicy', 'Bypass', '-File', this.scriptPath],
+      spawnProcess: options.spawnProcess
+    });
+
+    this.watcher.on('message', (state) => {
+      this.state = state;
+      this.emit('change');
+    });
+
+    this.watcher.on('error', (error) => {
+      console.error('Windows Media watcher error:', error.message);
+    });
+
+    this.watcher.on('exit', (code) => {
+      console.error(`Windows Media watcher exited (code ${code}), restarting...`);
+      this.state = { error: 'Media watcher stopped, restarting' };
+      this.emit('change');
+    });
   }
 
-  async getCurrentTrack() {
+  get capabilities() {
+    return {
+      metadata: true,
+      albumArt: true,
+      progress: true,
+      control: true
+    };
+  }
+
+  isSupported() {
+    return this.platform === 'win32';
+  }
+
+  async getSessions() {
     // Check if it's a non-Windows system
-    if (process.platform !== 'win32') {
-      return {
-        playing: false,
-        error: 'Windows Media Session is only available on Windows'
-      };
+    if (!this.isSupported()) {
+      throw new Error('Windows Media Session is only available on Windows');
+    }
+
+    // Start the watcher on first use
+    this.watcher.start();
+
+    if (!this.state) {
+      return [];
     }
+    if (this.state.error) {
+      throw new Error(this.state.error);
+    }
+
+    return (this.state.sessions || []).map(session => this.withLiveProgress(session));
+  }
 
+  // The session Windows itself considers current
+  async getCurrentTrack() {
+    let sessions;
     try {
-      // Execute the external PowerShell script with UTF-8 encoding for proper Unicode support
-      const { stdout, stderr } = await execAsync(
-        `powershell -NoProfile -ExecutionPolicy Bypass -File "${this.scriptPath}"`,
-        { timeout: 5000, encoding: 'utf8' }
-      );
-
-      if (stderr && !stdout) {
-        console.error('PowerShell stderr:', stderr);
-        return { playing: false, error: 'PowerShell error' };
-      }
-
-      const result = JSON.parse(stdout.trim());
-
-      // If no album art from Windows Media Session, try to fetch from MusicBrainz/Cover Art Archive
-      if (result.title && !result.albumArt) {
-        result.albumArt = await this.fetchAlbumArt(result.title, result.artist, result.album);
-      }
-
-      // Track progress locally for smoother updates when playing
-      if (result.playing && result.title) {
-        if (!this.lastTrack || this.lastTrack.title !== result.title) {
-          this.playbackStartTime = Date.now() - result.progress;
-        }
-        this.lastTrack = result;
-      } else {
-        this.lastTrack = null;
-        this.playbackStartTime = null;
-      }
-
-      return result;
+      sessions = await this.getSessions();
     } catch (error) {
-      console.error('Windows Media error:', error.message);
-      return {
-        playing: false,
-        error: error.message
-      };
+      return { playing: false, error: error.message };
+    }
+
+    const result = sessions.find(session => session.appName === this.state.current) || sessions[0];
+    if (!result) {
+      return { playing: false, error: 'No media session' };
     }
+
+    return result;
   }
 
-  async fetchAlbumArt(title, artist, album) {
-    // Create a cache key
-    const cacheKey = `${artist || ''}-${album || title}`.toLowerCase().trim();
+  // Commands are rare, so a one-shot PowerShell process is fine here
+  async control(action, { appName, position } = {}) {
+    if (!this.isSupported()) {
+      throw new Error('Windows Media Session is only available on Windows');
+    }
 
-    // Check cache first
-    if (this.albumArtCache.has(cacheKey)) {
-      return this.albumArtCache.get(cacheKey);
+    const args = ['-NoProfile', '-ExecutionPolicy', 'Bypass', '-File', this.controlScriptPath, '-Action', action];
+    if (appName) {
+      args.push('-AppId', appName);
+    }
+    if (action === 'seek') {
+      args.push('-Position', String(Math.round(position)));
     }
 
+    let stdout;
     try {
-      // Try iTunes Search API first (fast and reliable)
-      const searchTerm = encodeURIComponent(`${artist || ''} ${album || title}`.trim());
-      const itunesUrl = `https://itunes.apple.com/search?term=${searchTerm}&media=music&entity=album&limit=1`;
-
-      const itunesResponse = await fetch(itunesUrl, { timeout: 3000 });
-      if (itunesResponse.ok) {
-        const itunesData = await itunesResponse.json();
-        if (itunesData.results && itunesData.results.length > 0) {
-          // Get higher resolution artwork (replace 100x100 with 600x600)
-          const artworkUrl = itunesData.results[0].artworkUrl100?.replace('100x100', '600x600');
-          if (artworkUrl) {
-            this.albumArtCache.set(cacheKey, artworkUrl);
-            // Limit cache size
-            if (this.albumArtCache.size > 100) {
-              const firstKey = this.albumArtCache.keys().next().value;
-              this.albumArtCache.delete(firstKey);
-            }
-            return artworkUrl;
-          }
-        }
-      }
-
-      // Fallback: Try Deezer API
-      const deezerUrl = `https://api.deezer.com/search/album?q=${searchTerm}&limit=1`;
-      const deezerResponse = await fetch(deezerUrl, { timeout: 3000 });
-      if (deezerResponse.ok) {
-        const deezerData = await deezerResponse.json();
-        if (deezerData.data && deezerData.data.length > 0) {
-          const artworkUrl = deezerData.data[0].cover_big || deezerData.data[0].cover_medium;
-          if (artworkUrl) {
-            this.albumArtCache.set(cacheKey, artworkUrl);
-            if (this.albumArtCache.size > 100) {
-              const firstKey = this.albumArtCache.keys().next().value;
-              this.albumArtCache.delete(firstKey);
-            }
-            return artworkUrl;
-          }
-        }
-      }
-
-      // Cache null result to avoid repeated failed lookups
-      this.albumArtCache.set(cacheKey, null);
-      return null;
+      ({ stdout } = await execFileAsync('powershell', args, { timeout: 5000, encoding: 'utf8', windowsHide: true }));
     } catch (error) {
-      console.error('Album art fetch error:', error.message);
-      return null;
+      // PowerShell missing, the script failing or running past the timeout
+      const reason = error.killed ? 'timed out' : error.message;
+      throw providerError(`Could not ${action}: the media control script failed (${reason})`);
+    }
+
+    let result;
+    try {
+      result = JSON.parse(stdout.trim());
+    } catch (e) {
+      // PowerShell printed a warning or error instead of the script's JSON
+      const output = stdout.trim().slice(0, 200) || 'no output';
+      throw providerError(`Could not ${action}: unexpected output from the media control script (${output})`);
+    }
+
+    if (!result.success) {
+      throw providerError(result.error || `Could not ${action}`);
     }
   }
+
+  // Apps only report position occasionally - extrapolate from when they last did
+  withLiveProgress(session) {
+    const { timelineUpdatedAt, ...result } = session;
+
+    if (result.playing && timelineUpdatedAt > 0 && timelineUpdatedAt <= Date.now()) {
+      const progress = result.progress + (Date.now() - timelineUpdatedAt);
+      result.progress = result.duration > 0 ? Math.min(progress, result.duration) : progress;
+    }
+
+    return result;
+  }
+
+  stop() {
+    this.watcher.stop();
+  }
 }
@@ -0,0 +1,158 @@
+import { resolve as resolvePath } from 'path';
+import fetch from 'node-fetch';
+import { normalize, scoreCandidate } from './album-art/match.js';
+
+// How long a miss is remembered - shorter when a resolver failed (e.g. offline)
+const MISS_TTL = 60 * 60 * 1000;
+const ERROR_TTL = 60 * 1000;
+// Best candidates tried with pick() before moving on to the next resolver
+const MAX_PICKED_CANDIDATES = 3;
+
+// Looks something up for a track through an ordered chain of resolvers (album art, lyrics)
+// Each resolver's candidates are scored against the track and rejected below minScore,
+// and results - including misses - are cached per track
+// Subclasses implement pick() and toResult(), and can override getQuery() and acceptCandidate()
+export class ResolverChain {
+  // resolvers: every resolver that can be put in the chain - { id, name, search(query, options) }
+  constructor({ name, resolvers, baseDir, minScore, cacheLimit, timeout, userAgent }) {
+    this.name = name;
+    this.availableResolvers = resolvers;
+    this.baseDir = baseDir;
+    this.minScore = minScore;
+    this.cacheLimit = cacheLimit;
+    this.timeout = timeout;
+    this.userAgent = userAgent;
+    this.resolvers = [];
+    // track key -> { result, expiresAt }
+    this.cache = new Map();
+    // track key -> lookup in progress
+    this.pending = new Map();
+  }
+
+  // config: { minScore, resolvers: [{ id, enabled, timeout, baseUrl, directory, ... }] } - resolvers in chain order
+  configure({ minScore, resolvers } = {}) {
+    if (typeof minScore === 'number') {
+      this.minScore = minScore;
+    }
+    if (Array.isArray(resolvers)) {
+      this.resolvers = resolvers.filter(options => this.availableResolvers.some(resolver => resolver.id === options.id));
+    }
+    this.cache.clear();
+  }
+
+  static trackKey({ title, artist }) {
+    return `${normalize(artist)}|${normalize(title)}`;
+  }
+
+  getQuery(track) {
+    return { title: track.title, artist: track.artist || '', album: track.album || '' };
+  }
+
+  // Whether a candidate is worth scoring at all
+  acceptCandidate(query, candidate) {
+    return true;
+  }
+
+  // What an accepted candidate resolves to, e.g. { url } - null to try the next one
+  async pick(resolver, candidate, signal) {
+    throw new Error('pick() not implemented');
+  }
+
+  // What resolve() returns and caches for a match (or null for none)
+  toResult(match) {
+    return match;
+  }
+
+  // Result for a track, or null - cached, and lookups for the same track share one request
+  async resolve(track) {
+    if (!track?.title) return null;
+
+    const key = ResolverChain.trackKey(track);
+    const cached = this.cache.get(key);
+    if (cached && (!cached.expiresAt || cached.expiresAt > Date.now())) {
+      return cached.result;
+    }
+
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.lookup(track)
+        .then(({ match, failed }) => {
+          const result = match ? this.toResult(match) : null;
+          this.cache.set(key, { result, expiresAt: result ? null : Date.now() + (failed ? ERROR_TTL : MISS_TTL) });
+          if (this.cache.size > this.cacheLimit) {
+            this.cache.delete(this.cache.keys().next().value);
+          }
+          return result;
+        })
+        .finally(() => this.pending.delete(key)));
+    }
+    return this.pending.get(key);
+  }
+
+  // Run the chain without caching
+  // Returns { match, failed, attempts } - attempts lists every resolver's scored candidates for debugging
+  async lookup(track) {
+    const query = this.getQuery(track);
+    const attempts = [];
+    let failed = false;
+
+    for (const options of this.resolvers) {
+      if (!options.enabled) continue;
+      const resolver = this.availableResolvers.find(r => r.id === options.id);
+      const attempt = { resolver: resolver.id, candidates: [], error: null };
+      attempts.push(attempt);
+
+      try {
+        const match = await this.runResolver(resolver, options, query, attempt);
+        if (match) {
+          return { match, failed, attempts };
+        }
+      } catch (error) {
+        attempt.error = error.name === 'TimeoutError' || error.name === 'AbortError' ? 'Timed out' : error.message;
+        console.error(`${this.name} lookup error (${resolver.name}):`, attempt.error);
+        failed = true;
+      }
+    }
+
+    return { match: null, failed, attempts };
+  }
+
+  async runResolver(resolver, options, query, attempt) {
+    // One timeout covers the search and every pick
+    const signal = AbortSignal.timeout(options.timeout || this.timeout);
+    const request = async (url) => {
+      const response = await fetch(url, { signal, headers: { 'User-Agent': this.userAgent, 'Accept': 'application/json' } });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return response.json();
+    };
+
+    const searchOptions = { ...options, request, signal };
+    // baseUrl, coverArtUrl... without trailing slashes, and folders relative to the project root
+    for (const [name, value] of Object.entries(options)) {
+      if (name.endsWith('Url') && typeof value === 'string') {
+        searchOptions[name] = value.replace(/\/+$/, '');
+      }
+    }
+    if (options.directory) {
+      searchOptions.directory = resolvePath(this.baseDir, options.directory);
+    }
+
+    const candidates = await resolver.search(query, searchOptions);
+
+    attempt.candidates = candidates
+      .filter(candidate => this.acceptCandidate(query, candidate))
+      .map(candidate => ({ ...candidate, score: Math.round(scoreCandidate(query, candidate) * 100) / 100 }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10);
+
+    const accepted = attempt.candidates.filter(candidate => candidate.score >= this.minScore);
+    for (const candidate of accepted.slice(0, MAX_PICKED_CANDIDATES)) {
+      const picked = await this.pick(resolver, candidate, signal);
+      if (picked) {
+        return { ...picked, resolver: resolver.id, score: candidate.score };
+      }
+    }
+    return null;
+  }
+}
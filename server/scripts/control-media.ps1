@@ -0,0 +1,63 @@
+# Sends one playback command to a Windows Media Session
+# Usage: control-media.ps1 -Action <play|pause|toggle|next|previous|seek> [-AppId <SourceAppUserModelId>] [-Position <ms>]
+param(
+    [Parameter(Mandatory = $true)]
+    [ValidateSet('play', 'pause', 'toggle', 'next', 'previous', 'seek')]
+    [string]$Action,
+    [string]$AppId = '',
+    [long]$Position = 0
+)
+
+[Console]::OutputEncoding = [System.Text.Encoding]::UTF8
+$OutputEncoding = [System.Text.Encoding]::UTF8
+
+Add-Type -AssemblyName System.Runtime.WindowsRuntime
+
+$asTaskGeneric = ([System.WindowsRuntimeSystemExtensions].GetMethods() | Where-Object { $_.Name -eq 'AsTask' -and $_.GetParameters().Count -eq 1 -and $_.GetParameters()[0].ParameterType.Name -eq 'IAsyncOperation`1' })[0]
+
+Function Await($WinRtTask, $ResultType) {
+    $asTask = $asTaskGeneric.MakeGenericMethod($ResultType)
+    $netTask = $asTask.Invoke($null, @($WinRtTask))
+    $netTask.Wait(-1) | Out-Null
+    $netTask.Result
+}
+
+try {
+    [Windows.Media.Control.GlobalSystemMediaTransportControlsSessionManager, Windows.Media.Control, ContentType = WindowsRuntime] | Out-Null
+
+    $sessionManager = Await ([Windows.Media.Control.GlobalSystemMediaTransportControlsSessionManager]::RequestAsync()) ([Windows.Media.Control.GlobalSystemMediaTransportControlsSessionManager])
+
+    # Control the session the widget is showing, not whatever Windows considers current
+    $session = $null
+    if ($AppId) {
+        $session = $sessionManager.GetSessions() | Where-Object { $_.SourceAppUserModelId -eq $AppId } | Select-Object -First 1
+    }
+    if ($null -eq $session) {
+        $session = $sessionManager.GetCurrentSession()
+    }
+
+    if ($null -eq $session) {
+        Write-Output '{"success":false,"error":"No media session"}'
+        exit
+    }
+
+    $operation = switch ($Action) {
+        'play' { $session.TryPlayAsync() }
+        'pause' { $session.TryPauseAsync() }
+        'toggle' { $session.TryTogglePlayPauseAsync() }
+        'next' { $session.TrySkipNextAsync() }
+        'previous' { $session.TrySkipPreviousAsync() }
+        # Position is in milliseconds, Windows expects 100ns ticks
+        'seek' { $session.TryChangePlaybackPositionAsync($Position * 10000) }
+    }
+
+    $accepted = Await $operation ([bool])
+
+    if ($accepted) {
+        Write-Output '{"success":true}'
+    } else {
+        Write-Output ('{"success":false,"error":"' + $session.SourceAppUserModelId + ' rejected the ' + $Action + ' command"}')
+    }
+} catch {
+    Write-Output ('{"success":false,"error":"' + $_.Exception.Message.Replace('"', '\"') + '"}')
+}
@@ -0,0 +1,150 @@
+# Long-lived media session watcher
+# Subscribes to events on every Windows Media Session and writes one JSON line per state change to stdout
+# Each line lists all sessions plus the app Windows considers current: {"current":"...","sessions":[...]}
+
+# Force UTF-8 output encoding for proper Unicode support (Japanese, Chinese, Arabic, Russian, etc.)
+[Console]::OutputEncoding = [System.Text.Encoding]::UTF8
+$OutputEncoding = [System.Text.Encoding]::UTF8
+
+Add-Type -AssemblyName System.Runtime.WindowsRuntime
+
+$asTaskGeneric = ([System.WindowsRuntimeSystemExtensions].GetMethods() | Where-Object { $_.Name -eq 'AsTask' -and $_.GetParameters().Count -eq 1 -and $_.GetParameters()[0].ParameterType.Name -eq 'IAsyncOperation`1' })[0]
+
+Function Await($WinRtTask, $ResultType) {
+    $asTask = $asTaskGeneric.MakeGenericMethod($ResultType)
+    $netTask = $asTask.Invoke($null, @($WinRtTask))
+    $netTask.Wait(-1) | Out-Null
+    $netTask.Result
+}
+
+Function Write-Line($Json) {
+    [Console]::Out.WriteLine($Json)
+    [Console]::Out.Flush()
+}
+
+# Thumbnails are only re-encoded when a session's track changes
+$script:thumbnails = @{}
+$script:lastJson = $null
+
+Function Get-Thumbnail($AppId, $MediaProperties) {
+    $key = "$($MediaProperties.Title)|$($MediaProperties.Artist)|$($MediaProperties.AlbumTitle)"
+    $cached = $script:thumbnails[$AppId]
+    if ($null -ne $cached -and $cached.Key -eq $key) {
+        return $cached.Data
+    }
+
+    $thumbnailBase64 = ""
+    if ($null -ne $MediaProperties.Thumbnail) {
+        try {
+            $stream = Await ($MediaProperties.Thumbnail.OpenReadAsync()) ([Windows.Storage.Streams.IRandomAccessStreamWithContentType])
+            $reader = New-Object Windows.Storage.Streams.DataReader($stream)
+            Await ($reader.LoadAsync($stream.Size)) ([uint32]) | Out-Null
+            $bytes = New-Object byte[] $stream.Size
+            $reader.ReadBytes($bytes)
+            $thumbnailBase64 = [Convert]::ToBase64String($bytes)
+            $reader.Dispose()
+            $stream.Dispose()
+        } catch {
+            # Thumbnail extraction failed, continue without it
+        }
+    }
+
+    $data = if ($thumbnailBase64) { "data:image/png;base64,$thumbnailBase64" } else { $null }
+    $script:thumbnails[$AppId] = @{ Key = $key; Data = $data }
+    return $data
+}
+
+Function Get-SessionInfo($Session) {
+    $mediaProperties = Await ($Session.TryGetMediaPropertiesAsync()) ([Windows.Media.Control.GlobalSystemMediaTransportControlsSessionMediaProperties])
+    $playbackInfo = $Session.GetPlaybackInfo()
+    $timelineProperties = $Session.GetTimelineProperties()
+
+    return @{
+        playing = $playbackInfo.PlaybackStatus -eq 'Playing'
+        title = $mediaProperties.Title
+        artist = $mediaProperties.Artist
+        album = $mediaProperties.AlbumTitle
+        albumArt = Get-Thumbnail $Session.SourceAppUserModelId $mediaProperties
+        duration = [int]$timelineProperties.EndTime.TotalMilliseconds
+        progress = [int]$timelineProperties.Position.TotalMilliseconds
+        # When the app last reported its position, so progress can be extrapolated
+        timelineUpdatedAt = $timelineProperties.LastUpdatedTime.ToUnixTimeMilliseconds()
+        source = "windows"
+        appName = $Session.SourceAppUserModelId
+    }
+}
+
+Function Write-State {
+    try {
+        $sessions = @()
+        foreach ($session in $sessionManager.GetSessions()) {
+            try {
+                $sessions += Get-SessionInfo $session
+            } catch {
+                # Session closed while we were reading it
+            }
+        }
+
+        $current = $sessionManager.GetCurrentSession()
+        $state = @{
+            current = if ($null -ne $current) { $current.SourceAppUserModelId } else { $null }
+            sessions = $sessions
+        }
+
+        $json = $state | ConvertTo-Json -Compress -Depth 4
+    } catch {
+        $json = '{"error":"' + $_.Exception.Message.Replace('"', '\"') + '"}'
+    }
+
+    # Only write when something actually changed
+    if ($json -ne $script:lastJson) {
+        $script:lastJson = $json
+        Write-Line $json
+    }
+}
+
+Function Register-SessionEvents {
+    Get-EventSubscriber | Where-Object { $_.SourceIdentifier -like 'Session.*' } | Unregister-Event
+
+    $index = 0
+    foreach ($session in $sessionManager.GetSessions()) {
+        Register-ObjectEvent -InputObject $session -EventName MediaPropertiesChanged -SourceIdentifier "Session.$index.MediaProperties" | Out-Null
+        Register-ObjectEvent -InputObject $session -EventName PlaybackInfoChanged -SourceIdentifier "Session.$index.PlaybackInfo" | Out-Null
+        Register-ObjectEvent -InputObject $session -EventName TimelinePropertiesChanged -SourceIdentifier "Session.$index.TimelineProperties" | Out-Null
+        $index++
+    }
+}
+
+try {
+    [Windows.Media.Control.GlobalSystemMediaTransportControlsSessionManager, Windows.Media.Control, ContentType = WindowsRuntime] | Out-Null
+    [Windows.Storage.Streams.DataReader, Windows.Storage.Streams, ContentType = WindowsRuntime] | Out-Null
+
+    $sessionManager = Await ([Windows.Media.Control.GlobalSystemMediaTransportControlsSessionManager]::RequestAsync()) ([Windows.Media.Control.GlobalSystemMediaTransportControlsSessionManager])
+} catch {
+    Write-Line ('{"error":"' + $_.Exception.Message.Replace('"', '\"') + '"}')
+    exit 1
+}
+
+Register-ObjectEvent -InputObject $sessionManager -EventName CurrentSessionChanged -SourceIdentifier 'Manager.CurrentSession' | Out-Null
+Register-ObjectEvent -InputObject $sessionManager -EventName SessionsChanged -SourceIdentifier 'Manager.Sessions' | Out-Null
+Register-SessionEvents
+Write-State
+
+while ($true) {
+    # The timeout doubles as a safety net for events the app never raised
+    $nextEvent = Wait-Event -Timeout 5
+
+    if ($null -ne $nextEvent) {
+        # Collapse bursts of events into a single snapshot
+        Start-Sleep -Milliseconds 50
+        $events = @(Get-Event)
+        $events | Remove-Event
+
+        # Apps opened or closed - subscribe to the new set of sessions
+        if ($events | Where-Object { $_.SourceIdentifier -eq 'Manager.Sessions' }) {
+            Register-SessionEvents
+        }
+    }
+
+    Write-State
+}
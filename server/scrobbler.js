@@ -0,0 +1,178 @@
+import { readFile } from 'fs/promises';
+import { writeFileAtomic } from './atomic-file.js';
+
+// Standard scrobble rules: the track is longer than 30 seconds and was played
+// for half its length or 4 minutes, whichever comes first
+const MIN_TRACK_LENGTH = 30000;
+const MAX_PLAYED_THRESHOLD = 240000;
+
+// Queue limits - services reject very old scrobbles anyway
+const MAX_QUEUE_SIZE = 5000;
+const RETRY_DELAY = 30000;
+const MAX_RETRY_DELAY = 30 * 60 * 1000;
+
+export function isScrobbleable(play) {
+  if (!play.title || !play.artist) return false;
+  if (play.duration && play.duration <= MIN_TRACK_LENGTH) return false;
+
+  // Without a known length only the 4 minute rule can apply
+  const threshold = play.duration ? Math.min(play.duration / 2, MAX_PLAYED_THRESHOLD) : MAX_PLAYED_THRESHOLD;
+  return play.playedMs >= threshold;
+}
+
+// Submits now playing updates and scrobbles to every enabled service
+// Scrobbles wait in a persistent queue until their service accepts them
+export class Scrobbler {
+  constructor(queueFile, services) {
+    this.queueFile = queueFile;
+    this.services = new Map(services.map(service => [service.id, service]));
+    // [{ service, scrobble }]
+    this.queue = [];
+    this.flushing = false;
+    this.flushQueued = false;
+    this.retryTimer = null;
+    this.retryAttempts = 0;
+  }
+
+  async load() {
+    try {
+      const content = await readFile(this.queueFile, 'utf-8');
+      this.queue = JSON.parse(content);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+  }
+
+  save() {
+    return writeFileAtomic(this.queueFile, JSON.stringify(this.queue, null, 2), 'utf-8')
+      .catch((error) => console.error('Scrobble queue write error:', error.message));
+  }
+
+  // config: { [serviceId]: options }
+  configure(config = {}) {
+    for (const service of this.services.values()) {
+      service.configure(config[service.id] || {});
+    }
+    // New credentials may unblock the queue
+    this.flush();
+  }
+
+  get enabledServices() {
+    return [...this.services.values()].filter(service => service.enabled);
+  }
+
+  // Hook up to a PlayTracker
+  attach(playTracker) {
+    playTracker.on('start', (play) => this.sendNowPlaying(play));
+    playTracker.on('end', (play) => {
+      if (isScrobbleable(play)) {
+        this.enqueue(play);
+      }
+    });
+  }
+
+  sendNowPlaying(play) {
+    if (!play.artist) return;
+
+    const track = { artist: play.artist, title: play.title, album: play.album, app: play.appName, duration: play.duration };
+    for (const service of this.enabledServices) {
+      service.nowPlaying(track).catch((error) => {
+        console.error(`${service.name} now playing error:`, error.message);
+      });
+    }
+  }
+
+  enqueue(play) {
+    const scrobble = {
+      artist: play.artist,
+      title: play.title,
+      album: play.album,
+      app: play.appName,
+      timestamp: Math.floor(Date.parse(play.startedAt) / 1000),
+      duration: play.duration
+    };
+
+    for (const service of this.enabledServices) {
+      this.queue.push({ service: service.id, scrobble });
+    }
+    if (this.queue.length > MAX_QUEUE_SIZE) {
+      this.queue.splice(0, this.queue.length - MAX_QUEUE_SIZE);
+    }
+
+    this.save();
+    this.flush();
+  }
+
+  // Submit queued scrobbles, oldest first, in batches per service
+  async flush() {
+    // Scrobbles queued mid-flush get their own pass afterwards
+    if (this.flushing) {
+      this.flushQueued = true;
+      return;
+    }
+    this.flushing = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    let failed = false;
+    try {
+      for (const service of this.enabledServices) {
+        // After a batch is rejected, its scrobbles are resent one at a time so only the bad one is dropped
+        let singles = 0;
+        let pending;
+        while ((pending = this.queue.filter(entry => entry.service === service.id)).length > 0) {
+          const batch = pending.slice(0, singles > 0 ? 1 : service.batchSize);
+
+          try {
+            await service.scrobble(batch.map(entry => entry.scrobble));
+            service.status.lastError = null;
+            service.status.lastScrobbleAt = new Date().toISOString();
+          } catch (error) {
+            service.status.lastError = error.message;
+            console.error(`${service.name} scrobble error:`, error.message);
+
+            if (error.retryable) {
+              failed = true;
+              break;
+            }
+            if (batch.length > 1) {
+              singles = batch.length;
+              continue;
+            }
+            // Rejected for good - drop it rather than block the queue
+          }
+
+          singles = Math.max(singles - 1, 0);
+          this.queue = this.queue.filter(entry => !batch.includes(entry));
+          await this.save();
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+
+    if (failed) {
+      const delay = Math.min(RETRY_DELAY * 2 ** this.retryAttempts, MAX_RETRY_DELAY);
+      this.retryAttempts++;
+      this.retryTimer = setTimeout(() => this.flush(), delay);
+    } else {
+      this.retryAttempts = 0;
+      if (this.flushQueued) {
+        this.flushQueued = false;
+        this.flush();
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      queued: this.queue.length,
+      services: [...this.services.values()].map(service => ({
+        ...service.getStatus(),
+        queued: this.queue.filter(entry => entry.service === service.id).length
+      }))
+    };
+  }
+}
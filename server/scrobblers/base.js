@@ -0,0 +1,71 @@
+import fetch from 'node-fetch';
+
+const REQUEST_TIMEOUT = 10000;
+
+// Errors that should keep the scrobble queued (network down, service busy, bad credentials)
+// carry retryable = true; anything else means the service rejected the scrobble for good
+export function scrobbleError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+// Common interface for scrobbling services
+// Subclasses implement nowPlaying(track) and scrobble(scrobbles)
+// A scrobble is { artist, title, album, app, timestamp (unix seconds), duration (ms) }
+export class ScrobbleService {
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+    this.options = {};
+    this.status = {
+      lastError: null,
+      lastScrobbleAt: null
+    };
+  }
+
+  // How many scrobbles one scrobble() call accepts
+  get batchSize() {
+    return 50;
+  }
+
+  configure(options = {}) {
+    this.options = options;
+  }
+
+  get enabled() {
+    return Boolean(this.options.enabled) && this.configured;
+  }
+
+  // Whether the credentials needed to submit are present
+  get configured() {
+    return false;
+  }
+
+  async nowPlaying(track) {
+    throw new Error(`Scrobbler "${this.id}" does not implement nowPlaying()`);
+  }
+
+  async scrobble(scrobbles) {
+    throw new Error(`Scrobbler "${this.id}" does not implement scrobble()`);
+  }
+
+  // fetch with a timeout - network failures are always retryable
+  async request(url, options) {
+    try {
+      return await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+    } catch (error) {
+      throw scrobbleError(`${this.name} request failed: ${error.message}`, true);
+    }
+  }
+
+  getStatus() {
+    return {
+      id: this.id,
+      name: this.name,
+      enabled: this.enabled,
+      configured: this.configured,
+      ...this.status
+    };
+  }
+}
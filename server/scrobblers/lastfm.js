@@ -0,0 +1,85 @@
+import { createHash } from 'crypto';
+import { ScrobbleService, scrobbleError } from './base.js';
+
+export const DEFAULT_LASTFM_URL = 'https://ws.audioscrobbler.com/2.0/';
+
+// Last.fm error codes worth retrying: auth problems (fixed by logging in again)
+// and the service being offline or rate limited
+const RETRYABLE_ERRORS = [4, 9, 10, 11, 14, 16, 26, 29];
+
+// Last.fm scrobbling API - https://www.last.fm/api/scrobbling
+// Options: { enabled, apiKey, apiSecret, sessionKey, username, baseUrl }
+export class LastFmService extends ScrobbleService {
+  constructor() {
+    super('lastfm', 'Last.fm');
+  }
+
+  get configured() {
+    return Boolean(this.options.apiKey && this.options.apiSecret && this.options.sessionKey);
+  }
+
+  // api_sig is the md5 of every parameter (sorted, name + value) followed by the secret
+  sign(params) {
+    const base = Object.keys(params)
+      .sort()
+      .map(key => `${key}${params[key]}`)
+      .join('');
+    return createHash('md5').update(base + this.options.apiSecret, 'utf8').digest('hex');
+  }
+
+  async call(method, params, { authenticated = true } = {}) {
+    const signed = { ...params, method, api_key: this.options.apiKey };
+    if (authenticated) {
+      signed.sk = this.options.sessionKey;
+    }
+    signed.api_sig = this.sign(signed);
+
+    const response = await this.request(this.options.baseUrl || DEFAULT_LASTFM_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ ...signed, format: 'json' }).toString()
+    });
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (e) {
+      // Not JSON - handled below
+    }
+
+    if (data?.error) {
+      throw scrobbleError(`Last.fm: ${data.message || `error ${data.error}`}`, RETRYABLE_ERRORS.includes(data.error));
+    }
+    if (!response.ok || !data) {
+      throw scrobbleError(`Last.fm: HTTP ${response.status}`, response.status === 429 || response.status >= 500);
+    }
+    return data;
+  }
+
+  // Trade a username/password for a session key (the password itself is never stored)
+  async login(username, password) {
+    const data = await this.call('auth.getMobileSession', { username, password }, { authenticated: false });
+    return { username: data.session.name, sessionKey: data.session.key };
+  }
+
+  async nowPlaying(track) {
+    const params = { artist: track.artist, track: track.title };
+    if (track.album) params.album = track.album;
+    if (track.duration) params.duration = Math.round(track.duration / 1000);
+
+    await this.call('track.updateNowPlaying', params);
+  }
+
+  async scrobble(scrobbles) {
+    const params = {};
+    scrobbles.forEach((scrobble, i) => {
+      params[`artist[${i}]`] = scrobble.artist;
+      params[`track[${i}]`] = scrobble.title;
+      params[`timestamp[${i}]`] = scrobble.timestamp;
+      if (scrobble.album) params[`album[${i}]`] = scrobble.album;
+      if (scrobble.duration) params[`duration[${i}]`] = Math.round(scrobble.duration / 1000);
+    });
+
+    await this.call('track.scrobble', params);
+  }
+}
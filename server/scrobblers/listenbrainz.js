@@ -0,0 +1,71 @@
+import { ScrobbleService, scrobbleError } from './base.js';
+
+export const DEFAULT_LISTENBRAINZ_URL = 'https://api.listenbrainz.org';
+
+// ListenBrainz - https://listenbrainz.readthedocs.io/en/latest/users/api/core.html
+// Options: { enabled, token, baseUrl }
+export class ListenBrainzService extends ScrobbleService {
+  constructor() {
+    super('listenbrainz', 'ListenBrainz');
+  }
+
+  get batchSize() {
+    return 100;
+  }
+
+  get configured() {
+    return Boolean(this.options.token);
+  }
+
+  toTrackMetadata(track) {
+    const metadata = {
+      artist_name: track.artist,
+      track_name: track.title,
+      additional_info: {
+        submission_client: 'Noteworthy',
+        ...(track.app ? { media_player: track.app } : {}),
+        ...(track.duration ? { duration_ms: Math.round(track.duration) } : {})
+      }
+    };
+    if (track.album) {
+      metadata.release_name = track.album;
+    }
+    return metadata;
+  }
+
+  async submit(listenType, payload) {
+    const baseUrl = (this.options.baseUrl || DEFAULT_LISTENBRAINZ_URL).replace(/\/+$/, '');
+    const response = await this.request(`${baseUrl}/1/submit-listens`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Token ${this.options.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ listen_type: listenType, payload })
+    });
+
+    if (!response.ok) {
+      let message = `HTTP ${response.status}`;
+      try {
+        message = (await response.json()).error || message;
+      } catch (e) {
+        // Not JSON - keep the status
+      }
+      // 401 is a bad token - keep scrobbles until it's fixed
+      const retryable = response.status === 401 || response.status === 429 || response.status >= 500;
+      throw scrobbleError(`ListenBrainz: ${message}`, retryable);
+    }
+  }
+
+  async nowPlaying(track) {
+    await this.submit('playing_now', [{ track_metadata: this.toTrackMetadata(track) }]);
+  }
+
+  async scrobble(scrobbles) {
+    const payload = scrobbles.map(scrobble => ({
+      listened_at: scrobble.timestamp,
+      track_metadata: this.toTrackMetadata(scrobble)
+    }));
+    await this.submit(payload.length === 1 ? 'single' : 'import', payload);
+  }
+}
@@ -0,0 +1,234 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { posix } from 'path';
+
+// Cookie a page opened with ?token= (or Basic auth) keeps its token in, so the page's own requests,
+// album art and WebSocket connection are let in too
+const TOKEN_COOKIE = 'noteworthy_token';
+// Reads that return private settings (webhook URLs, accounts) need the admin token like changes do
+const ADMIN_READ_PREFIXES = ['/api/webhooks', '/api/chat-bot', '/api/obs', '/api/scrobbling'];
+// Album art is addressed by content hash and shown by <img> tags, which can't send a token
+const OPEN_PREFIXES = ['/api/art/'];
+// Wrong tokens one address can try per minute before it has to wait
+const AUTH_FAILURE_LIMIT = { max: 10, windowSeconds: 60 };
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest();
+}
+
+// Compare without leaking how much of the token matched
+function sameToken(a, b) {
+  return timingSafeEqual(hashToken(a), hashToken(b));
+}
+
+// The path as routes and static files see it - Express matches routes case-insensitively and
+// ignores a trailing slash, and static files are found after decoding and resolving dot segments
+export function normalizePath(path) {
+  let decoded = path;
+  try {
+    decoded = decodeURIComponent(path);
+  } catch (e) {
+    // Left as is - Express answers malformed paths with 400 itself
+  }
+  return posix.normalize(decoded).toLowerCase().replace(/(.)\/+$/, '$1');
+}
+
+function isPageRequest(path) {
+  return !normalizePath(path).startsWith('/api/');
+}
+
+// Token from Authorization (Bearer, or the password of Basic auth), ?token= or the token cookie
+// Returns { token, from } - from is 'header', 'query' or 'cookie'
+export function getRequestToken(headers, url) {
+  const authorization = headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return { token: authorization.slice('Bearer '.length).trim(), from: 'header' };
+  }
+  if (authorization.startsWith('Basic ')) {
+    const decoded = Buffer.from(authorization.slice('Basic '.length), 'base64').toString('utf-8');
+    return { token: decoded.slice(decoded.indexOf(':') + 1), from: 'header' };
+  }
+
+  const query = new URL(url, 'http://localhost').searchParams.get('token');
+  if (query) {
+    return { token: query, from: 'query' };
+  }
+
+  const cookie = (headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${TOKEN_COOKIE}=`));
+  if (cookie) {
+    return { token: decodeURIComponent(cookie.slice(TOKEN_COOKIE.length + 1)), from: 'cookie' };
+  }
+  return { token: null, from: null };
+}
+
+// Fixed-window counter per key (an IP address)
+export class RateLimiter {
+  constructor({ max, windowSeconds }) {
+    this.max = max;
+    this.windowMs = windowSeconds * 1000;
+    // key -> { count, resetAt }
+    this.hits = new Map();
+  }
+
+  // Seconds key has to wait before its next hit counts, 0 when it is under the limit
+  retryAfter(key, now = Date.now()) {
+    const entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now || entry.count < this.max) return 0;
+    return Math.ceil((entry.resetAt - now) / 1000);
+  }
+
+  hit(key, now = Date.now()) {
+    // Forget finished windows so the map doesn't grow forever
+    for (const [other, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(other);
+    }
+
+    const entry = this.hits.get(key) || { count: 0, resetAt: now + this.windowMs };
+    entry.count++;
+    this.hits.set(key, entry);
+  }
+}
+
+// Express middleware - at most limiter.max requests per address in each window, 429 after that
+export function rateLimit(limiter) {
+  return (req, res, next) => {
+    const retryAfter = limiter.retryAfter(req.ip);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Too many requests - try again in ${retryAfter}s`, retryAfter });
+    }
+    limiter.hit(req.ip);
+    next();
+  };
+}
+
+// Who may do what - the admin token guards /config and every change, read tokens guard the widgets and
+// track endpoints, and pages from other websites can't change anything unless CORS allows their origin
+// Without an admin token everything stays open like before, so read tokens only count together with one
+export class AccessControl {
+  // config: { adminToken, readTokens, bindAddress, corsOrigins, uploadRateLimit }
+  constructor(config) {
+    this.config = config;
+    this.authFailures = new RateLimiter(AUTH_FAILURE_LIMIT);
+  }
+
+  get adminRequired() {
+    return Boolean(this.config.adminToken);
+  }
+
+  get readRequired() {
+    return this.adminRequired && this.config.readTokens.length > 0;
+  }
+
+  isAdmin(token) {
+    return !this.adminRequired || (Boolean(token) && sameToken(token, this.config.adminToken));
+  }
+
+  canRead(token) {
+    if (!this.readRequired || this.isAdmin(token)) return true;
+    return Boolean(token) && this.config.readTokens.some(readToken => sameToken(token, readToken));
+  }
+
+  isKnownToken(token) {
+    return (this.adminRequired && sameToken(token, this.config.adminToken)) ||
+      this.config.readTokens.some(readToken => sameToken(token, readToken));
+  }
+
+  // 'admin', 'read', or null for requests anyone can make
+  requiredAccess(method, requestPath) {
+    if (method !== 'GET' && method !== 'HEAD') return 'admin';
+    const path = normalizePath(requestPath);
+    if (path === '/config' || path === '/config.html') return 'admin';
+    if (ADMIN_READ_PREFIXES.some(prefix => path === prefix || path.startsWith(`${prefix}/`))) return 'admin';
+    if (OPEN_PREFIXES.some(prefix => path.startsWith(prefix))) return null;
+    // Pages and the API - stylesheets, scripts and fonts are the same for everyone
+    if (path === '/' || path.startsWith('/api/') || path.startsWith('/widget') || path.endsWith('.html')) return 'read';
+    return null;
+  }
+
+  isAllowedOrigin(origin, host) {
+    const origins = this.config.corsOrigins;
+    if (origins.includes('*') || origins.includes(origin)) return true;
+    try {
+      return new URL(origin).host === host;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // CORS headers for the origins in corsOrigins, and no changes from pages on any other website
+  // (a page you visit could otherwise post to a server on your own network)
+  cors() {
+    return (req, res, next) => {
+      const origin = req.headers.origin;
+      if (!origin) return next();
+
+      if (!this.isAllowedOrigin(origin, req.headers.host)) {
+        if (req.method === 'GET' || req.method === 'HEAD') return next();
+        return res.status(403).json({ error: `Requests from ${origin} are not allowed` });
+      }
+
+      const origins = this.config.corsOrigins;
+      if (origins.includes('*') || origins.includes(origin)) {
+        res.set('Access-Control-Allow-Origin', origins.includes('*') ? '*' : origin);
+        res.vary('Origin');
+        if (req.method === 'OPTIONS') {
+          res.set('Access-Control-Allow-Methods', 'GET, POST, DELETE');
+          res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+          res.set('Access-Control-Max-Age', '600');
+          return res.sendStatus(204);
+        }
+      }
+      next();
+    };
+  }
+
+  // Check the token a request needs - 401 asks the browser for the admin password (any user name)
+  authorize() {
+    return (req, res, next) => {
+      const access = this.requiredAccess(req.method, req.path);
+      if (!access) return next();
+
+      const { token, from } = getRequestToken(req.headers, req.originalUrl);
+      // Checked before the token, so an address that is locked out can't get lucky
+      const retryAfter = token ? this.authFailures.retryAfter(req.ip) : 0;
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: `Too many wrong tokens - try again in ${retryAfter}s`, retryAfter });
+      }
+
+      const allowed = access === 'admin' ? this.isAdmin(token) : this.canRead(token);
+      if (allowed) {
+        // A page opened with its token lets its own requests and WebSocket in too
+        if (token && from !== 'cookie' && isPageRequest(req.path)) {
+          res.cookie(TOKEN_COOKIE, token, { httpOnly: true, sameSite: 'strict' });
+        }
+        return next();
+      }
+
+      // Only guesses count - not requests without a token, or a read token used where the admin token is needed
+      if (token && !this.isKnownToken(token)) {
+        this.authFailures.hit(req.ip);
+      }
+
+      res.set('WWW-Authenticate', 'Basic realm="Noteworthy", charset="UTF-8"');
+      if (isPageRequest(req.path)) {
+        return res.status(401).type('text/plain').send(access === 'admin'
+          ? 'The admin password is needed for this page'
+          : 'Add ?token=... with a read token to this URL');
+      }
+      res.status(401).json({ error: access === 'admin' ? 'The admin token is needed for this' : 'A read token is needed for this' });
+    };
+  }
+
+  // WebSocket connections - { allowed, admin } for the handshake request
+  // Widgets only read; sending control commands needs the admin token and an allowed origin
+  authorizeSocket(req) {
+    const { token } = getRequestToken(req.headers, req.url);
+    const origin = req.headers.origin;
+    const sameSite = !origin || this.isAllowedOrigin(origin, req.headers.host);
+    return {
+      allowed: this.canRead(token),
+      admin: sameSite && this.isAdmin(token)
+    };
+  }
+}
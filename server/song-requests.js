@@ -0,0 +1,272 @@
+import { EventEmitter } from 'events';
+import { readFile } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import fetch from 'node-fetch';
+import { writeFileAtomic } from './atomic-file.js';
+import { scoreCandidate } from './album-art/match.js';
+
+// A track that starts playing counts as a request when it scores at least this against it,
+// and a new request this close to one already in the queue is a duplicate
+const MIN_MATCH_SCORE = 0.75;
+// Played and rejected requests kept for the config page
+const RECENT_LIMIT = 20;
+const MAX_TEXT_LENGTH = 200;
+
+// Links viewers can paste instead of a name - the title is looked up with the site's oEmbed endpoint
+const OEMBED_ENDPOINTS = [
+  { pattern: /^https?:\/\/((www|m|music)\.)?(youtube\.com|youtu\.be)\//i, url: 'https://www.youtube.com/oembed' },
+  { pattern: /^https?:\/\/open\.spotify\.com\//i, url: 'https://open.spotify.com/oembed' },
+  { pattern: /^https?:\/\/(www\.)?soundcloud\.com\//i, url: 'https://soundcloud.com/oembed' }
+];
+
+const USER_AGENT = 'Noteworthy/1.0.0 (song requests)';
+
+export const REQUEST_ACTIONS = ['approve', 'reject', 'played', 'move'];
+
+function requestError(message, code, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+// "Artist - Title" or just a title (viewers write it either way round, so matching tries both)
+function parseSongText(text) {
+  const parts = text.split(/\s+[-–—]\s+/);
+  if (parts.length >= 2) {
+    return { artist: parts[0].trim(), title: parts.slice(1).join(' - ').trim() };
+  }
+  return { artist: '', title: text.trim() };
+}
+
+// Title and artist of a pasted link, or null when the site isn't known or doesn't answer
+async function lookupLink(url, timeout) {
+  const endpoint = OEMBED_ENDPOINTS.find(({ pattern }) => pattern.test(url));
+  if (!endpoint) return null;
+
+  try {
+    const response = await fetch(`${endpoint.url}?format=json&url=${encodeURIComponent(url)}`, {
+      signal: AbortSignal.timeout(timeout),
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' }
+    });
+    if (!response.ok) return null;
+    const data = await response.json();
+    if (!data.title) return null;
+
+    // Video titles usually carry the artist ("Artist - Title (Official Video)"), otherwise the uploader is the best guess
+    const parsed = parseSongText(data.title);
+    return parsed.artist ? parsed : { title: parsed.title, artist: data.author_name || '' };
+  } catch (e) {
+    return null;
+  }
+}
+
+// { title, artist } pairs a request could stand for
+function requestCandidates(request) {
+  if (!request.title) return [];
+  const candidates = [{ title: request.title, artist: request.artist }];
+  if (request.artist) {
+    candidates.push({ title: request.artist, artist: request.title });
+  }
+  return candidates;
+}
+
+// How well a track { title, artist } matches a request (0..1)
+function matchScore(request, track) {
+  return Math.max(0, ...requestCandidates(request).map(candidate => scoreCandidate(track, candidate)));
+}
+
+// Song requests from chat - viewers add songs through the bot, moderators approve, reject and reorder them,
+// and a request is marked as played when a matching track starts
+// Emits 'change' whenever the queue changes
+export class SongRequestQueue extends EventEmitter {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.settings = {};
+    // Open requests (pending and queued) in play order
+    this.queue = [];
+    // Played and rejected requests, newest first
+    this.recent = [];
+  }
+
+  // settings: { enabled, requireApproval, maxPerUser, cooldown, maxQueueLength, allowLinks, linkTimeout }
+  configure(settings) {
+    this.settings = settings;
+  }
+
+  async load() {
+    try {
+      const content = await readFile(this.filePath, 'utf-8');
+      const saved = JSON.parse(content);
+      this.queue = saved.queue || [];
+      this.recent = saved.recent || [];
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+  }
+
+  save() {
+    return writeFileAtomic(this.filePath, JSON.stringify({ queue: this.queue, recent: this.recent }, null, 2), 'utf-8');
+  }
+
+  async changed() {
+    await this.save();
+    this.emit('change');
+  }
+
+  // Approved requests, next one first - what the queue widget shows
+  get upNext() {
+    return this.queue.filter(request => request.status === 'queued');
+  }
+
+  get(id) {
+    return this.queue.find(request => request.id === id) || this.recent.find(request => request.id === id) || null;
+  }
+
+  // Throws when the queue is closed or full, or the user has too many requests or is on cooldown
+  checkLimits(user, now) {
+    const { enabled, maxPerUser, cooldown, maxQueueLength } = this.settings;
+    if (!enabled) {
+      throw requestError('Song requests are closed', 'CLOSED');
+    }
+    if (maxQueueLength > 0 && this.queue.length >= maxQueueLength) {
+      throw requestError('The request queue is full', 'QUEUE_FULL');
+    }
+
+    // Limits go by the lowercase name, since chat names are case-insensitive
+    const userKey = user.toLowerCase();
+    const byUser = [...this.queue, ...this.recent].filter(request => request.user.toLowerCase() === userKey);
+    if (maxPerUser > 0 && this.queue.filter(request => request.user.toLowerCase() === userKey).length >= maxPerUser) {
+      throw requestError(`You can have ${maxPerUser} request${maxPerUser === 1 ? '' : 's'} in the queue at a time`, 'USER_LIMIT');
+    }
+    const lastRequestAt = Math.max(0, ...byUser.map(request => Date.parse(request.requestedAt)));
+    const retryAfter = Math.ceil((lastRequestAt + cooldown * 1000 - now) / 1000);
+    if (cooldown > 0 && retryAfter > 0) {
+      throw requestError(`Wait ${retryAfter}s before your next request`, 'COOLDOWN', { retryAfter });
+    }
+  }
+
+  // Add a viewer's request - text is "Artist - Title", a title or a link
+  // Throws errors with a code (INVALID, CLOSED, QUEUE_FULL, USER_LIMIT, COOLDOWN, DUPLICATE) the bot can answer with
+  async add({ user, text }, now = Date.now()) {
+    user = typeof user === 'string' ? user.trim() : '';
+    text = typeof text === 'string' ? text.trim() : '';
+    if (!user || !text) {
+      throw requestError('A request needs a user and a song', 'INVALID');
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      throw requestError(`Requests can be at most ${MAX_TEXT_LENGTH} characters`, 'INVALID');
+    }
+
+    this.checkLimits(user, now);
+
+    const { requireApproval, allowLinks, linkTimeout } = this.settings;
+    let song;
+    let url = null;
+    if (/^https?:\/\//i.test(text)) {
+      if (!allowLinks) {
+        throw requestError('Links are not allowed - request "Artist - Title" instead', 'INVALID');
+      }
+      url = text;
+      // An unknown link still goes in the queue, it just can't be marked as played automatically
+      song = await lookupLink(url, linkTimeout) || { title: '', artist: '' };
+      // Other requests may have come in during the lookup
+      this.checkLimits(user, now);
+    } else {
+      song = parseSongText(text);
+    }
+
+    const duplicate = this.queue.find(request =>
+      (url && request.url === url) || (song.title && matchScore(request, song) >= MIN_MATCH_SCORE));
+    if (duplicate) {
+      throw requestError(`"${duplicate.title || duplicate.text}" is already in the queue`, 'DUPLICATE');
+    }
+
+    const request = {
+      id: randomUUID(),
+      user,
+      text,
+      title: song.title,
+      artist: song.artist,
+      url,
+      status: requireApproval ? 'pending' : 'queued',
+      requestedAt: new Date(now).toISOString(),
+      closedAt: null
+    };
+    this.queue.push(request);
+    await this.changed();
+    return request;
+  }
+
+  // Moderator actions: approve, reject, played, or move to { position } (0 is the top of the queue)
+  async moderate(id, action, { position } = {}) {
+    if (!REQUEST_ACTIONS.includes(action)) {
+      throw requestError(`Unknown action "${action}"`, 'INVALID');
+    }
+    const index = this.queue.findIndex(request => request.id === id);
+    if (index === -1) {
+      throw requestError('Request not found in the queue', 'NOT_FOUND');
+    }
+    const request = this.queue[index];
+
+    if (action === 'approve') {
+      request.status = 'queued';
+    } else if (action === 'move') {
+      if (!(Number.isInteger(position) && position >= 0)) {
+        throw requestError('Move needs a position (0 is the top of the queue)', 'INVALID');
+      }
+      this.queue.splice(index, 1);
+      this.queue.splice(Math.min(position, this.queue.length), 0, request);
+    } else {
+      this.close(request, action === 'reject' ? 'rejected' : 'played');
+    }
+
+    await this.changed();
+    return request;
+  }
+
+  async delete(id) {
+    const before = this.queue.length + this.recent.length;
+    this.queue = this.queue.filter(request => request.id !== id);
+    this.recent = this.recent.filter(request => request.id !== id);
+    if (this.queue.length + this.recent.length === before) return false;
+
+    await this.changed();
+    return true;
+  }
+
+  close(request, status, now = Date.now()) {
+    request.status = status;
+    request.closedAt = new Date(now).toISOString();
+    this.queue = this.queue.filter(other => other !== request);
+    this.recent = [request, ...this.recent].slice(0, RECENT_LIMIT);
+  }
+
+  // The open request a track that just started stands for - the best match, earliest in the queue on a tie
+  findMatch(track) {
+    let best = null;
+    let bestScore = 0;
+    for (const request of this.queue) {
+      const score = matchScore(request, track);
+      if (best ? score > bestScore : score >= MIN_MATCH_SCORE) {
+        best = request;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Hook up to a PlayTracker - a request is marked as played when a matching track starts
+  attach(playTracker) {
+    playTracker.on('start', (play) => {
+      const request = this.findMatch(play);
+      if (!request) return;
+
+      this.close(request, 'played');
+      this.changed().catch((error) => console.error('Song request write error:', error.message));
+    });
+  }
+}
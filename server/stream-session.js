@@ -0,0 +1,187 @@
+import { readFile } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { writeFileAtomic } from './atomic-file.js';
+
+// YouTube ignores chapter lists with chapters shorter than this
+const MIN_CHAPTER_MS = 10000;
+
+export const SESSION_EXPORT_FORMATS = ['youtube', 'cue', 'markdown'];
+
+// Stream sessions - every track change recorded relative to when the session started,
+// so a VOD tracklist can be exported instead of rebuilt by hand
+export class StreamSessionStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.sessions = [];
+  }
+
+  async load() {
+    try {
+      const content = await readFile(this.filePath, 'utf-8');
+      this.sessions = JSON.parse(content);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+  }
+
+  save() {
+    return writeFileAtomic(this.filePath, JSON.stringify(this.sessions, null, 2), 'utf-8');
+  }
+
+  get active() {
+    const latest = this.sessions[this.sessions.length - 1];
+    return latest && !latest.endedAt ? latest : null;
+  }
+
+  // Hook up to a PlayTracker - every new play becomes an entry in the running session
+  attach(playTracker) {
+    playTracker.on('start', (play) => {
+      if (!this.active) return;
+      this.addTrack(play, Date.parse(play.startedAt));
+      this.save().catch((error) => console.error('Stream session write error:', error.message));
+    });
+  }
+
+  addTrack(track, time) {
+    const session = this.active;
+    session.tracks.push({
+      offset: Math.max(time - Date.parse(session.startedAt), 0),
+      title: track.title,
+      artist: track.artist || '',
+      album: track.album || ''
+    });
+  }
+
+  // currentTrack is what's already playing - it becomes the first entry at 00:00
+  async start(name, currentTrack) {
+    const now = Date.now();
+    if (this.active) {
+      this.active.endedAt = new Date(now).toISOString();
+    }
+
+    const startedAt = new Date(now);
+    this.sessions.push({
+      id: randomUUID(),
+      name: name || `Stream ${startedAt.toLocaleDateString()}`,
+      startedAt: startedAt.toISOString(),
+      endedAt: null,
+      tracks: []
+    });
+
+    if (currentTrack?.title) {
+      this.addTrack(currentTrack, now);
+    }
+
+    await this.save();
+    return this.active;
+  }
+
+  async stop() {
+    const session = this.active;
+    if (!session) return null;
+
+    session.endedAt = new Date().toISOString();
+    await this.save();
+    return session;
+  }
+
+  // 'latest' is the running session, or the last one if none is running
+  get(id) {
+    if (id === 'latest') {
+      return this.sessions[this.sessions.length - 1] || null;
+    }
+    return this.sessions.find(session => session.id === id) || null;
+  }
+
+  async delete(id) {
+    const index = this.sessions.findIndex(session => session.id === id);
+    if (index === -1) return false;
+
+    this.sessions.splice(index, 1);
+    await this.save();
+    return true;
+  }
+}
+
+function trackLabel(track) {
+  return track.artist ? `${track.artist} - ${track.title}` : track.title;
+}
+
+// 00:00 or 1:02:03 - the same style YouTube uses in descriptions
+function formatTimestamp(ms, withHours) {
+  const seconds = Math.floor(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60).toString().padStart(2, '0');
+  const remainingSeconds = (seconds % 60).toString().padStart(2, '0');
+  return withHours ? `${hours}:${minutes}:${remainingSeconds}` : `${minutes}:${remainingSeconds}`;
+}
+
+// Cue sheets count minutes past 59 and use 75 frames per second
+function formatCueIndex(ms) {
+  const frames = Math.floor(ms / 1000 * 75);
+  const minutes = Math.floor(frames / (75 * 60)).toString().padStart(2, '0');
+  const seconds = Math.floor((frames / 75) % 60).toString().padStart(2, '0');
+  return `${minutes}:${seconds}:${(frames % 75).toString().padStart(2, '0')}`;
+}
+
+function cueString(text) {
+  return `"${(text || '').replace(/"/g, "'")}"`;
+}
+
+// YouTube chapters must start at 00:00 and be at least 10 seconds long,
+// so short plays (skips) are dropped and anything before the first track becomes "Intro"
+export function toYouTubeChapters(session) {
+  const chapters = session.tracks.filter((track, i) => {
+    const next = session.tracks[i + 1];
+    return !next || next.offset - track.offset >= MIN_CHAPTER_MS;
+  });
+
+  const lines = chapters.map(track => ({ offset: track.offset, label: trackLabel(track) }));
+  if (lines.length === 0 || lines[0].offset >= MIN_CHAPTER_MS) {
+    lines.unshift({ offset: 0, label: 'Intro' });
+  } else {
+    lines[0].offset = 0;
+  }
+
+  const withHours = lines[lines.length - 1].offset >= 3600000;
+  return lines.map(line => `${formatTimestamp(line.offset, withHours)} ${line.label}`).join('\n') + '\n';
+}
+
+export function toCueSheet(session, fileName = 'stream.mp4') {
+  const lines = [
+    `TITLE ${cueString(session.name)}`,
+    `FILE ${cueString(fileName)} WAVE`
+  ];
+
+  session.tracks.forEach((track, i) => {
+    lines.push(
+      `  TRACK ${(i + 1).toString().padStart(2, '0')} AUDIO`,
+      `    TITLE ${cueString(track.title)}`,
+      `    PERFORMER ${cueString(track.artist)}`,
+      `    INDEX 01 ${formatCueIndex(track.offset)}`
+    );
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+export function toMarkdown(session) {
+  const withHours = session.tracks.some(track => track.offset >= 3600000);
+  const lines = [
+    `# ${session.name}`,
+    '',
+    `Started ${new Date(session.startedAt).toLocaleString()}`,
+    '',
+    '| # | Time | Artist | Title |',
+    '|---|------|--------|-------|'
+  ];
+
+  session.tracks.forEach((track, i) => {
+    const cell = (text) => (text || '').replace(/\|/g, '\\|');
+    lines.push(`| ${i + 1} | ${formatTimestamp(track.offset, withHours)} | ${cell(track.artist)} | ${cell(track.title)} |`);
+  });
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,74 @@
+// Plain-text "now playing" templates for chat bots and text files
+//
+// Syntax:
+//   {title}              field value
+//   {title:30}           truncated to 30 characters (with an ellipsis)
+//   {artist|Unknown}     fallback when the field is empty
+//   {artist:20|Unknown}  both
+//   {{ and }}            literal braces
+
+export const DEFAULT_TEXT_FORMAT = '{artist} - {title}';
+export const DEFAULT_IDLE_TEXT = 'Nothing playing right now';
+
+const TOKEN_PATTERN = /\{\{|\}\}|\{(\w+)(?::(\d+))?(?:\|([^}]*))?\}/g;
+
+export function formatTime(ms) {
+  if (!ms || ms < 0) return '0:00';
+  const seconds = Math.floor(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const remainingSeconds = (seconds % 60).toString().padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, '0')}:${remainingSeconds}`
+    : `${minutes}:${remainingSeconds}`;
+}
+
+export function truncate(text, maxLength) {
+  if (!maxLength || text.length <= maxLength) return text;
+  return maxLength > 1 ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text.slice(0, maxLength);
+}
+
+// Values available to templates for a track
+export function getTemplateFields(track) {
+  const duration = track?.duration || 0;
+  const progress = Math.min(track?.progress || 0, duration || Infinity);
+
+  return {
+    title: track?.title || '',
+    artist: track?.artist || '',
+    album: track?.album || '',
+    app: track?.appName || '',
+    source: track?.source || '',
+    status: track?.title ? (track.playing ? 'Playing' : 'Paused') : 'Idle',
+    progress: track?.title ? formatTime(progress) : '',
+    duration: duration ? formatTime(duration) : '',
+    remaining: duration ? formatTime(duration - progress) : '',
+    percent: duration ? String(Math.round((progress / duration) * 100)) : ''
+  };
+}
+
+// extraFields adds values that aren't about the track (e.g. {user} for chat replies)
+export function renderTemplate(format, track, extraFields = {}) {
+  const fields = { ...getTemplateFields(track), ...extraFields };
+
+  return format.replace(TOKEN_PATTERN, (token, name, maxLength, fallback) => {
+    if (token === '{{') return '{';
+    if (token === '}}') return '}';
+    if (!Object.hasOwn(fields, name)) return token;
+
+    const value = fields[name] || fallback || '';
+    return truncate(value, maxLength ? parseInt(maxLength, 10) : 0);
+  });
+}
+
+// Pick the idle/paused/playing variant of a template and render it
+// template: { format, paused, idle } - paused falls back to format
+export function renderNowPlaying(template, track) {
+  if (!track || !track.title) {
+    return renderTemplate(template.idle ?? DEFAULT_IDLE_TEXT, null);
+  }
+  if (!track.playing && template.paused) {
+    return renderTemplate(template.paused, track);
+  }
+  return renderTemplate(template.format || DEFAULT_TEXT_FORMAT, track);
+}
@@ -0,0 +1,85 @@
+// Named events for the changes TrackChangeDetector sees - what webhooks and OBS rules react to
+export const TRACK_EVENTS = ['track.changed', 'playback.paused', 'playback.resumed', 'playback.idle', 'seek'];
+
+// Decides when a polled track is worth broadcasting: new track, play/pause, seek or new album art
+// Widgets keep their own clock between broadcasts, so progress alone never triggers one
+export class TrackChangeDetector {
+  constructor() {
+    this.reset();
+  }
+
+  // Forget the last state so the next poll is broadcast no matter what
+  reset() {
+    this.lastTrackId = null;
+    this.lastPlayingState = null;
+    this.lastProgressMs = null;
+    this.lastAlbumArt = null;
+  }
+
+  static trackId(track) {
+    return track ? `${track.title}-${track.artist}` : null;
+  }
+
+  // Compare with the previous poll and remember this one
+  detect(track) {
+    const trackId = TrackChangeDetector.trackId(track);
+
+    const isNewTrack = trackId !== this.lastTrackId;
+    const playStateChanged = this.lastPlayingState !== null && this.lastPlayingState !== track?.playing;
+    // Art can arrive after the track (slow lookup) or be pinned while it plays
+    const artChanged = !isNewTrack && (track?.albumArt || null) !== this.lastAlbumArt;
+
+    // Detect seek: large jump in progress (more than 2.5 seconds from expected)
+    // Expected progress = lastProgress + poll interval (1000ms) if playing
+    let userSeeked = false;
+    if (track && this.lastProgressMs !== null && !isNewTrack) {
+      const expectedProgress = this.lastPlayingState ? this.lastProgressMs + 1500 : this.lastProgressMs; // 1.5s tolerance
+      const actualProgress = track.progress || 0;
+      const drift = Math.abs(actualProgress - expectedProgress);
+      userSeeked = drift > 2500; // User seeked if drift > 2.5 seconds
+    }
+
+    // Determine if we should broadcast (only on state changes)
+    const changed = isNewTrack || playStateChanged || userSeeked || artChanged || this.lastTrackId === null;
+
+    this.lastTrackId = trackId;
+    this.lastPlayingState = track?.playing ?? null;
+    this.lastProgressMs = track?.progress ?? null;
+    this.lastAlbumArt = track?.albumArt || null;
+
+    return { trackId, changed, isNewTrack, playStateChanged, userSeeked, artChanged };
+  }
+}
+
+// Turns what TrackChangeDetector.detect() saw into TRACK_EVENTS
+export class TrackEventClassifier {
+  constructor() {
+    // The track the last track.changed was for
+    this.lastTrackId = null;
+  }
+
+  // Providers report "nothing playing" as a track without a title
+  classify(track, { isNewTrack, playStateChanged, userSeeked }) {
+    if (!track?.title) {
+      if (!isNewTrack) return [];
+      this.lastTrackId = null;
+      return ['playback.idle'];
+    }
+    if (isNewTrack) {
+      // The detector forgets the track when feeds are reset (e.g. new cleanup rules) - that's not a new song
+      const trackId = TrackChangeDetector.trackId(track);
+      if (trackId === this.lastTrackId) return [];
+      this.lastTrackId = trackId;
+      return ['track.changed'];
+    }
+
+    const events = [];
+    if (playStateChanged) {
+      events.push(track.playing ? 'playback.resumed' : 'playback.paused');
+    }
+    if (userSeeked) {
+      events.push('seek');
+    }
+    return events;
+  }
+}
@@ -0,0 +1,216 @@
+import { createHmac, randomUUID } from 'crypto';
+import fetch from 'node-fetch';
+
+// 'json' posts the event as is, 'discord' formats it as a Discord webhook message
+export const WEBHOOK_FORMATS = ['json', 'discord'];
+
+// Failed deliveries are retried with backoff: 2s, 4s, 8s... up to 5 minutes apart
+const RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+// Deliveries kept for the config page, newest first
+const LOG_LIMIT = 50;
+const USER_AGENT = 'Noteworthy/1.0.0 (webhooks)';
+
+// Stripe color of the Discord "now playing" embed
+const DISCORD_COLOR = 0x1DB954;
+
+function deliveryError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+// X-Noteworthy-Signature - receivers check it against an HMAC of the raw body with the same secret
+export function signWebhookBody(secret, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// The track as webhooks see it - album art only as an absolute URL, since receivers can't resolve /api/art paths
+function toPayloadTrack(track, publicUrl) {
+  if (!track?.title) return null;
+
+  let albumArt = null;
+  if (/^https?:\/\//i.test(track.albumArt || '')) {
+    albumArt = track.albumArt;
+  } else if (track.albumArt?.startsWith('/') && publicUrl) {
+    albumArt = publicUrl.replace(/\/+$/, '') + track.albumArt;
+  }
+
+  return {
+    title: track.title,
+    artist: track.artist || '',
+    album: track.album || '',
+    appName: track.appName || '',
+    playing: Boolean(track.playing),
+    progress: track.progress || 0,
+    duration: track.duration || 0,
+    albumArt
+  };
+}
+
+function discordSong(track) {
+  return [track.artist, track.title].filter(Boolean).join(' - ');
+}
+
+// Discord webhook message - https://discord.com/developers/docs/resources/webhook#execute-webhook
+function toDiscordMessage({ event, track }) {
+  const message = { username: 'Noteworthy' };
+
+  if (event === 'track.changed') {
+    const embed = {
+      title: track.title,
+      description: [track.artist, track.album].filter(Boolean).join(' · ') || undefined,
+      color: DISCORD_COLOR,
+      footer: track.appName ? { text: track.appName } : undefined
+    };
+    if (track.albumArt) {
+      embed.thumbnail = { url: track.albumArt };
+    }
+    message.content = 'Now playing';
+    message.embeds = [embed];
+  } else if (event === 'playback.paused') {
+    message.content = `Paused: ${discordSong(track)}`;
+  } else if (event === 'playback.resumed') {
+    message.content = `Playing again: ${discordSong(track)}`;
+  } else if (event === 'playback.idle') {
+    message.content = 'Nothing playing right now';
+  } else if (event === 'seek') {
+    const seconds = Math.floor(track.progress / 1000);
+    message.content = `Jumped to ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} in ${discordSong(track)}`;
+  }
+  return message;
+}
+
+// Outbound webhooks - posts track and playback events to every webhook subscribed to them
+// Each delivery is signed when the webhook has a secret, retried with backoff when the receiver is down,
+// and kept in a short log for the config page
+export class WebhookDispatcher {
+  constructor() {
+    this.config = { hooks: [] };
+    // Newest first
+    this.deliveries = [];
+    this.retryTimers = new Map();
+  }
+
+  // config: { hooks: [{ id, name, url, events, format, secret, enabled }], publicUrl, timeout, maxAttempts }
+  configure(config) {
+    this.config = config;
+  }
+
+  // Queue a delivery of event to every enabled webhook subscribed to it
+  dispatch(event, track) {
+    const payload = {
+      event,
+      timestamp: new Date().toISOString(),
+      track: toPayloadTrack(track, this.config.publicUrl)
+    };
+
+    for (const webhook of this.config.hooks) {
+      if (webhook.enabled && webhook.events.includes(event)) {
+        this.deliver(webhook, payload);
+      }
+    }
+  }
+
+  // Send a sample track.changed to one webhook, e.g. from the config page
+  test(webhook, track) {
+    const sample = track?.title ? track : { title: 'Test Song', artist: 'Noteworthy', album: '', appName: 'Noteworthy', playing: true };
+    return this.deliver(webhook, {
+      event: 'track.changed',
+      timestamp: new Date().toISOString(),
+      track: toPayloadTrack(sample, this.config.publicUrl),
+      test: true
+    });
+  }
+
+  deliver(webhook, payload) {
+    const delivery = {
+      id: randomUUID(),
+      webhookId: webhook.id,
+      webhookName: webhook.name,
+      event: payload.event,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      createdAt: payload.timestamp,
+      deliveredAt: null
+    };
+    this.deliveries = [delivery, ...this.deliveries].slice(0, LOG_LIMIT);
+
+    const body = JSON.stringify(webhook.format === 'discord' ? toDiscordMessage(payload) : payload);
+    return this.attempt(delivery, webhook, body);
+  }
+
+  async attempt(delivery, webhook, body) {
+    this.retryTimers.delete(delivery.id);
+    delivery.attempts++;
+
+    try {
+      await this.post(webhook, delivery, body);
+      delivery.status = 'delivered';
+      delivery.error = null;
+      delivery.deliveredAt = new Date().toISOString();
+    } catch (error) {
+      delivery.error = error.message;
+      // The webhook may have been deleted or turned off while waiting
+      const current = this.config.hooks.find(other => other.id === webhook.id);
+      if (!error.retryable || !current?.enabled || delivery.attempts >= (this.config.maxAttempts || 1)) {
+        delivery.status = 'failed';
+        console.error(`Webhook "${webhook.name}" ${delivery.event} failed:`, error.message);
+        return delivery;
+      }
+
+      delivery.status = 'retrying';
+      const delay = error.retryAfter || Math.min(RETRY_DELAY * 2 ** (delivery.attempts - 1), MAX_RETRY_DELAY);
+      this.retryTimers.set(delivery.id, setTimeout(() => this.attempt(delivery, current, body), delay));
+    }
+    return delivery;
+  }
+
+  async post(webhook, delivery, body) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT,
+      'X-Noteworthy-Event': delivery.event,
+      'X-Noteworthy-Delivery': delivery.id
+    };
+    if (webhook.secret) {
+      headers['X-Noteworthy-Signature'] = signWebhookBody(webhook.secret, body);
+    }
+
+    let response;
+    try {
+      response = await fetch(webhook.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(this.config.timeout || 5000)
+      });
+    } catch (error) {
+      throw deliveryError(error.message, true);
+    }
+    delivery.responseStatus = response.status;
+    if (response.ok) return;
+
+    // Busy or down - try again later (Discord says when in Retry-After); anything else won't get better
+    const error = deliveryError(`HTTP ${response.status}`, response.status === 429 || response.status >= 500);
+    const retryAfter = parseFloat(response.headers.get('retry-after'));
+    if (retryAfter > 0) {
+      error.retryAfter = Math.min(retryAfter * 1000, MAX_RETRY_DELAY);
+    }
+    throw error;
+  }
+
+  // Deliveries waiting for a retry are dropped with their webhook
+  cancel(webhookId) {
+    for (const delivery of this.deliveries) {
+      if (delivery.webhookId === webhookId && this.retryTimers.has(delivery.id)) {
+        clearTimeout(this.retryTimers.get(delivery.id));
+        this.retryTimers.delete(delivery.id);
+        delivery.status = 'failed';
+        delivery.error = 'Cancelled';
+      }
+    }
+  }
+}
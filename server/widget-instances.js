@@ -0,0 +1,107 @@
+import { readFile } from 'fs/promises';
+import { writeFileAtomic } from './atomic-file.js';
+
+// Instance names end up in widget URLs (/widget/:instance)
+const INSTANCE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+// Other pages under /widget/ an instance can't be named after
+const RESERVED_NAMES = ['queue'];
+
+// Look of a widget - the main /widget page and every named instance
+export const DEFAULT_WIDGET_STATE = {
+  theme: '',
+  customColors: {
+    bg: '#1a1a2e',
+    text: '#ffffff',
+    accent: '#1DB954'
+  },
+  canvasSize: {
+    width: 450,
+    height: 150
+  },
+  // Themes that take their colors from the album art - { [theme]: true }, '' is the default theme
+  artColors: {},
+  // Track change animation for each theme - { [theme]: 'fade' | 'slide' | 'flip-art' | 'typewriter' | 'none' }
+  transitions: {},
+  // Auto-hide rules - the widget hides itself and comes back for new tracks or POST /api/widget/show
+  visibility: {
+    showFor: 0,                     // Seconds to show the widget after a track change before hiding it, 0 keeps it up
+    hideWhenPaused: false,          // Hide the widget while the track is paused...
+    pausedDelay: 0,                 // ...once it has been paused for this many seconds
+    hideWhenIdle: false             // Hide it instead of showing "No music playing"
+  }
+};
+
+// Settings only named instances have
+export const DEFAULT_INSTANCE_STATE = {
+  ...DEFAULT_WIDGET_STATE,
+  // null follows the Media Source settings, otherwise { provider, allowlist, blocklist, preferredApp }
+  // picks this instance's track out of the same sessions
+  filter: null
+};
+
+// Named widget instances (widget-instances.json) - each one is a separate OBS browser source
+// with its own look and, optionally, its own app filter
+export class WidgetInstanceStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    // name -> saved state
+    this.instances = {};
+  }
+
+  static isValidName(name) {
+    return typeof name === 'string' && INSTANCE_NAME_PATTERN.test(name) && !RESERVED_NAMES.includes(name);
+  }
+
+  // Saved state over the defaults - sections are merged one level deep like server-config.json
+  static withDefaults(state = {}) {
+    const merged = { ...DEFAULT_INSTANCE_STATE, ...state };
+    for (const key of ['customColors', 'canvasSize', 'visibility']) {
+      merged[key] = { ...DEFAULT_INSTANCE_STATE[key], ...state[key] };
+    }
+    return merged;
+  }
+
+  async load() {
+    try {
+      const content = await readFile(this.filePath, 'utf-8');
+      this.instances = JSON.parse(content);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+  }
+
+  save() {
+    return writeFileAtomic(this.filePath, JSON.stringify(this.instances, null, 2), 'utf-8');
+  }
+
+  has(name) {
+    return Object.hasOwn(this.instances, name);
+  }
+
+  list() {
+    return Object.keys(this.instances).sort().map(name => ({ name, ...this.get(name) }));
+  }
+
+  get(name) {
+    return this.has(name) ? WidgetInstanceStore.withDefaults(this.instances[name]) : null;
+  }
+
+  // Merge changes into an instance, creating it when it doesn't exist yet
+  async set(name, changes) {
+    const state = { ...this.instances[name], ...changes };
+    // The name is the key, not part of the state (list() adds it back)
+    delete state.name;
+    this.instances[name] = state;
+    await this.save();
+    return this.get(name);
+  }
+
+  async delete(name) {
+    if (!this.has(name)) return false;
+    delete this.instances[name];
+    await this.save();
+    return true;
+  }
+}
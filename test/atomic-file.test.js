@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { writeFileAtomic } from '../server/atomic-file.js';
+
+test('concurrent writes to one file all succeed and the last one wins', async () => {
+  const directory = await mkdtemp(join(tmpdir(), 'noteworthy-'));
+  try {
+    const filePath = join(directory, 'state.json');
+    await Promise.all([1, 2, 3, 4, 5].map(n => writeFileAtomic(filePath, String(n), 'utf-8')));
+
+    assert.equal(await readFile(filePath, 'utf-8'), '5');
+    assert.deepEqual(await readdir(directory), ['state.json']);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+});
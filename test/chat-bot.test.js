@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIrcMessage } from '../server/chat-bot.js';
+
+test('parseIrcMessage reads Twitch tags, the sender and the trailing text', () => {
+  const message = parseIrcMessage('@badges=moderator/1,subscriber/12;display-name=Viewer;mod=1 :viewer!viewer@viewer.tmi.twitch.tv PRIVMSG #channel :!sr never gonna give you up');
+  assert.deepEqual(message.tags, { badges: 'moderator/1,subscriber/12', 'display-name': 'Viewer', mod: '1' });
+  assert.equal(message.prefix, 'viewer!viewer@viewer.tmi.twitch.tv');
+  assert.equal(message.nick, 'viewer');
+  assert.equal(message.command, 'PRIVMSG');
+  assert.deepEqual(message.params, ['#channel', '!sr never gonna give you up']);
+});
+
+test('parseIrcMessage handles lines without tags or prefix', () => {
+  assert.deepEqual(parseIrcMessage('PING :tmi.twitch.tv'), {
+    tags: {},
+    prefix: '',
+    nick: '',
+    command: 'PING',
+    params: ['tmi.twitch.tv']
+  });
+});
+
+test('parseIrcMessage keeps middle params and numeric replies', () => {
+  const message = parseIrcMessage(':irc.example.net 001 noteworthy :Welcome');
+  assert.equal(message.nick, 'irc.example.net');
+  assert.equal(message.command, '001');
+  assert.deepEqual(message.params, ['noteworthy', 'Welcome']);
+});
+
+test('parseIrcMessage keeps colons inside the trailing text', () => {
+  const message = parseIrcMessage(':a!a@a PRIVMSG #c :time is 3:45 :)');
+  assert.deepEqual(message.params, ['#c', 'time is 3:45 :)']);
+});
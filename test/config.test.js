@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeConfigValues } from '../server/config.js';
+
+test('mergeConfigValues keeps nested defaults a partial save leaves out', () => {
+  const merged = mergeConfigValues(
+    { uploadRateLimit: { max: 10, windowSeconds: 60 }, corsOrigins: [] },
+    { uploadRateLimit: { max: 3 } }
+  );
+  assert.deepEqual(merged, { uploadRateLimit: { max: 3, windowSeconds: 60 }, corsOrigins: [] });
+});
+
+test('mergeConfigValues replaces arrays instead of merging them', () => {
+  assert.deepEqual(mergeConfigValues({ priority: ['windows', 'mpris'] }, { priority: ['mpris'] }), { priority: ['mpris'] });
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FileOutput } from '../server/file-output.js';
+
+test('a cover download that never answers times out and later updates still write', async () => {
+  // Takes the request and never responds
+  const requests = [];
+  const server = http.createServer(req => requests.push(req));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const directory = await mkdtemp(join(tmpdir(), 'noteworthy-file-output-'));
+  const originalError = console.error;
+  const errors = [];
+  console.error = (...args) => errors.push(args.join(' '));
+
+  try {
+    const output = new FileOutput(directory);
+    output.configure({
+      enabled: true,
+      directory,
+      files: [{ name: 'now-playing.txt', format: '{artist} - {title}' }],
+      cover: { enabled: true, name: 'cover.jpg' }
+    });
+    output.imageTimeout = 100;
+
+    const albumArt = `http://127.0.0.1:${server.address().port}/cover.jpg`;
+    await output.update({ title: 'First', artist: 'Artist', albumArt });
+    assert.equal(await readFile(join(directory, 'now-playing.txt'), 'utf-8'), 'Artist - First');
+    assert.equal(requests.length, 1);
+    assert.match(errors.join('\n'), /File output error/);
+
+    await output.update({ title: 'Second', artist: 'Artist' });
+    assert.equal(await readFile(join(directory, 'now-playing.txt'), 'utf-8'), 'Artist - Second');
+  } finally {
+    console.error = originalError;
+    requests.forEach(req => req.socket.destroy());
+    await new Promise(resolve => server.close(resolve));
+    await rm(directory, { recursive: true, force: true });
+  }
+});
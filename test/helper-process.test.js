@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter, once } from 'events';
+import { PassThrough } from 'stream';
+import { HelperProcess } from '../server/providers/helper-process.js';
+import { WindowsMediaProvider } from '../server/providers/windows-media.js';
+
+// Stands in for child_process.spawn - every launch gets a new fake child
+function fakeSpawner() {
+  const children = [];
+  const spawnProcess = (command, args) => {
+    const child = new EventEmitter();
+    child.command = command;
+    child.args = args;
+    child.stdout = new PassThrough();
+    child.stderr = new PassThrough();
+    child.killed = false;
+    child.kill = () => {
+      child.killed = true;
+    };
+    children.push(child);
+    return child;
+  };
+  return { children, spawnProcess };
+}
+
+test('HelperProcess parses NDJSON split across chunks and skips bad lines', async () => {
+  const { children, spawnProcess } = fakeSpawner();
+  const helper = new HelperProcess({ command: 'watcher', spawnProcess });
+  const messages = [];
+  helper.on('message', message => messages.push(message));
+  helper.start();
+
+  const stdout = children[0].stdout;
+  stdout.write('{"a":1}\n{"b"');
+  stdout.write(':2}\n\nnot json\n{"c":');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(messages, [{ a: 1 }, { b: 2 }]);
+
+  // The partial line waits for the rest
+  stdout.write('3}\r\n');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(messages, [{ a: 1 }, { b: 2 }, { c: 3 }]);
+
+  helper.stop();
+  assert.equal(children[0].killed, true);
+});
+
+test('HelperProcess restarts the helper after it exits', async () => {
+  const { children, spawnProcess } = fakeSpawner();
+  const helper = new HelperProcess({ command: 'watcher', spawnProcess, restartDelay: 5 });
+  const messages = [];
+  helper.on('message', message => messages.push(message));
+  helper.start();
+
+  // Half a line from the old child must not leak into the new one
+  children[0].stdout.write('{"old":');
+  await new Promise(resolve => setImmediate(resolve));
+  const exited = once(helper, 'exit');
+  children[0].emit('exit', 1);
+  assert.deepEqual(await exited, [1]);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(children.length, 2);
+  children[1].stdout.write('{"new":true}\n');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(messages, [{ new: true }]);
+
+  // A stopped helper stays stopped
+  helper.stop();
+  children[1].emit('exit', null);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(children.length, 2);
+});
+
+test('WindowsMediaProvider follows the watcher across a restart', async () => {
+  const { children, spawnProcess } = fakeSpawner();
+  const provider = new WindowsMediaProvider({ platform: 'win32', spawnProcess });
+  provider.watcher.restartDelay = 5;
+  const originalError = console.error;
+  console.error = () => {};
+
+  try {
+    assert.deepEqual(await provider.getSessions(), []);
+    assert.equal(children[0].command, 'powershell');
+
+    const session = { appName: 'Spotify.exe', title: 'Song', playing: false, progress: 1000, duration: 200000 };
+    const line = JSON.stringify({ current: 'Spotify.exe', sessions: [session] }) + '\n';
+    const changed = once(provider, 'change');
+    children[0].stdout.write(line.slice(0, 20));
+    children[0].stdout.write(line.slice(20));
+    await changed;
+    assert.deepEqual(await provider.getCurrentTrack(), session);
+
+    children[0].emit('exit', 1);
+    assert.deepEqual(await provider.getCurrentTrack(), { playing: false, error: 'Media watcher stopped, restarting' });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(children.length, 2);
+    const restarted = once(provider, 'change');
+    children[1].stdout.write(line);
+    await restarted;
+    assert.equal((await provider.getCurrentTrack()).title, 'Song');
+  } finally {
+    console.error = originalError;
+    provider.stop();
+  }
+});
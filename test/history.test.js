@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HistoryStore } from '../server/history.js';
+
+function csvRow(entry) {
+  const store = new HistoryStore('/dev/null');
+  return store.toCsv([{ startedAt: '2024-01-01T00:00:00.000Z', endedAt: null, playedMs: 0, ...entry }]).split('\r\n')[1];
+}
+
+test('toCsv quotes commas and quotes', () => {
+  assert.equal(csvRow({ title: 'Hello, "World"', artist: 'A' }), '2024-01-01T00:00:00.000Z,,"Hello, ""World""",A,,,,0,0');
+});
+
+test('toCsv keeps formula-like cells as text', () => {
+  const row = csvRow({ title: '=HYPERLINK("http://example.com")', artist: '+1', album: '-M-', app: '@app' });
+  assert.equal(row, `2024-01-01T00:00:00.000Z,,"'=HYPERLINK(""http://example.com"")",'+1,'-M-,'@app,,0,0`);
+});
@@ -0,0 +1,159 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import dbus from 'dbus-next';
+import { MprisMediaProvider } from '../server/providers/mpris.js';
+
+const { Interface, ACCESS_READ } = dbus.interface;
+const PLAYER_NAME = 'org.mpris.MediaPlayer2.fakeplayer';
+
+// org.mpris.MediaPlayer2.Player with just enough for the provider
+class FakePlayer extends Interface {
+  constructor() {
+    super('org.mpris.MediaPlayer2.Player');
+    this.status = 'Playing';
+    this.metadata = {
+      'mpris:trackid': new dbus.Variant('o', '/org/mpris/MediaPlayer2/track/1'),
+      'mpris:length': new dbus.Variant('x', 180000000n),
+      'xesam:title': new dbus.Variant('s', 'First Song'),
+      'xesam:artist': new dbus.Variant('as', ['Artist One', 'Artist Two']),
+      'xesam:album': new dbus.Variant('s', 'The Album')
+    };
+    this.position = 42000000n;
+    this.calls = [];
+  }
+
+  get PlaybackStatus() { return this.status; }
+  get Metadata() { return this.metadata; }
+  get Position() { return this.position; }
+  get Rate() { return 1; }
+  get CanPlay() { return true; }
+  get CanPause() { return true; }
+  get CanGoNext() { return false; }
+  get CanGoPrevious() { return true; }
+  get CanSeek() { return true; }
+
+  Play() { this.calls.push(['Play']); }
+  Pause() { this.calls.push(['Pause']); }
+  PlayPause() { this.calls.push(['PlayPause']); }
+  Next() { this.calls.push(['Next']); }
+  Previous() { this.calls.push(['Previous']); }
+  Seek(offset) { this.calls.push(['Seek', offset]); }
+  SetPosition(trackId, position) { this.calls.push(['SetPosition', trackId, position]); }
+
+  // Change properties the way a real player does - with a PropertiesChanged signal
+  update(changes) {
+    if (changes.status) this.status = changes.status;
+    if (changes.metadata) this.metadata = { ...this.metadata, ...changes.metadata };
+    const changed = {};
+    if (changes.status) changed.PlaybackStatus = this.status;
+    if (changes.metadata) changed.Metadata = this.metadata;
+    Interface.emitPropertiesChanged(this, changed);
+  }
+}
+
+const readOnly = (signature) => ({ signature, access: ACCESS_READ });
+const method = (inSignature = '') => ({ inSignature, outSignature: '' });
+FakePlayer.configureMembers({
+  properties: {
+    PlaybackStatus: readOnly('s'),
+    Metadata: readOnly('a{sv}'),
+    Position: readOnly('x'),
+    Rate: readOnly('d'),
+    CanPlay: readOnly('b'),
+    CanPause: readOnly('b'),
+    CanGoNext: readOnly('b'),
+    CanGoPrevious: readOnly('b'),
+    CanSeek: readOnly('b')
+  },
+  methods: {
+    Play: method(),
+    Pause: method(),
+    PlayPause: method(),
+    Next: method(),
+    Previous: method(),
+    Seek: method('x'),
+    SetPosition: method('ox')
+  },
+  signals: {
+    Seeked: { signature: 'x' }
+  }
+});
+
+let daemon = null;
+let busAddress = null;
+let playerBus = null;
+let player = null;
+let provider = null;
+
+async function waitFor(check, timeout = 2000) {
+  const start = Date.now();
+  while (!(await check())) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for the provider');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// A private session bus, so the test never touches the desktop's players
+before(async () => {
+  const child = spawn('dbus-daemon', ['--session', '--nofork', '--print-address=1'], { stdio: ['ignore', 'pipe', 'ignore'] });
+  const output = await new Promise((resolve) => {
+    // No dbus-daemon installed - the tests skip
+    child.once('error', () => resolve(null));
+    child.stdout.once('data', data => resolve(data.toString()));
+  });
+  if (!output) return;
+  daemon = child;
+  // The first line is the address, e.g. unix:path=/tmp/dbus-XXXX,guid=...
+  busAddress = output.trim().split('\n')[0];
+
+  playerBus = dbus.sessionBus({ busAddress });
+  await playerBus.requestName(PLAYER_NAME, 0);
+  player = new FakePlayer();
+  playerBus.export('/org/mpris/MediaPlayer2', player);
+
+  provider = new MprisMediaProvider({ busAddress });
+});
+
+after(() => {
+  provider?.disconnect();
+  playerBus?.disconnect();
+  daemon?.kill();
+});
+
+test('reads the fake player through its bus address', async (t) => {
+  if (!daemon) return t.skip('dbus-daemon is not installed');
+
+  assert.equal(provider.isSupported(), true);
+  const track = await provider.getCurrentTrack();
+  assert.equal(track.title, 'First Song');
+  assert.equal(track.artist, 'Artist One, Artist Two');
+  assert.equal(track.album, 'The Album');
+  assert.equal(track.duration, 180000);
+  assert.equal(track.playing, true);
+  assert.equal(track.appName, 'fakeplayer');
+  assert.equal(track.source, 'mpris');
+  // 42s from Position, plus however long the test has been running
+  assert.ok(track.progress >= 42000 && track.progress < 44000, `progress ${track.progress}`);
+});
+
+test('follows PropertiesChanged for status and metadata', async (t) => {
+  if (!daemon) return t.skip('dbus-daemon is not installed');
+
+  player.update({ status: 'Paused' });
+  await waitFor(async () => !(await provider.getCurrentTrack()).playing);
+
+  player.update({ status: 'Playing', metadata: { 'xesam:title': new dbus.Variant('s', 'Second Song') } });
+  await waitFor(async () => (await provider.getCurrentTrack()).title === 'Second Song');
+  assert.equal((await provider.getCurrentTrack()).playing, true);
+});
+
+test('sends control commands to the player', async (t) => {
+  if (!daemon) return t.skip('dbus-daemon is not installed');
+
+  await provider.control('pause', { appName: 'fakeplayer' });
+  await provider.control('seek', { appName: 'fakeplayer', position: 60000 });
+  assert.deepEqual(player.calls, [['Pause'], ['SetPosition', '/org/mpris/MediaPlayer2/track/1', 60000000n]]);
+
+  await assert.rejects(provider.control('next', { appName: 'fakeplayer' }), { code: 'UNSUPPORTED' });
+});
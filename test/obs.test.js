@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { obsAuthentication } from '../server/obs.js';
+
+test('obsAuthentication matches the obs-websocket protocol example', () => {
+  const authentication = obsAuthentication('supersecretpassword', {
+    salt: 'lM1GncleQOaCu9lT1yeUZhFYnqhsLLP1G5lAGo3ixaI=',
+    challenge: '+IxH4CnCiqpX1rM9scsNynZzbOe4KhDeYcTNS3PDaeY='
+  });
+  assert.equal(authentication, '1Ct943GAT+6YQUUX47Ia/ncufilbe6+oD6lY+5kaCu4=');
+});
+
+test('obsAuthentication changes with the challenge', () => {
+  const salt = 'lM1GncleQOaCu9lT1yeUZhFYnqhsLLP1G5lAGo3ixaI=';
+  assert.notEqual(
+    obsAuthentication('supersecretpassword', { salt, challenge: 'a' }),
+    obsAuthentication('supersecretpassword', { salt, challenge: 'b' })
+  );
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { LyricsResolver } from '../server/lyrics/resolver.js';
+import { AlbumArtResolver } from '../server/album-art/resolver.js';
+
+// Smallest valid PNG (1x1)
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+async function withFolder(run) {
+  const baseDir = await mkdtemp(join(tmpdir(), 'noteworthy-'));
+  try {
+    await run(baseDir);
+  } finally {
+    await rm(baseDir, { recursive: true, force: true });
+  }
+}
+
+test('lyrics come from a matching .lrc file and are cached', () => withFolder(async (baseDir) => {
+  await mkdir(join(baseDir, 'lyrics', 'Artist'), { recursive: true });
+  await writeFile(join(baseDir, 'lyrics', 'Artist', 'Song.lrc'), '[00:01.00]First\n[00:02.50]Second\n');
+
+  const resolver = new LyricsResolver({ baseDir });
+  resolver.configure({ resolvers: [{ id: 'local', enabled: true, directory: 'lyrics' }] });
+
+  const lyrics = await resolver.resolve({ title: 'Song', artist: 'Artist' });
+  assert.deepEqual(lyrics, { lines: [{ time: 1000, text: 'First' }, { time: 2500, text: 'Second' }], source: 'local' });
+  assert.equal(await resolver.resolve({ title: 'Song', artist: 'Artist' }), lyrics);
+  assert.equal(await resolver.resolve({ title: 'Other Song', artist: 'Someone Else' }), null);
+}));
+
+test('album art comes from a matching image file as a data URI', () => withFolder(async (baseDir) => {
+  await mkdir(join(baseDir, 'art'));
+  await writeFile(join(baseDir, 'art', 'Artist - Album.png'), PNG);
+
+  const resolver = new AlbumArtResolver({ baseDir, overridesFile: join(baseDir, 'overrides.json') });
+  resolver.configure({ resolvers: [{ id: 'local', enabled: true, directory: 'art' }] });
+
+  const { match, attempts } = await resolver.lookup({ title: 'Song', artist: 'Artist', album: 'Album' });
+  assert.equal(match.resolver, 'local');
+  assert.equal(match.url, `data:image/png;base64,${PNG.toString('base64')}`);
+  assert.equal(attempts[0].candidates[0].album, 'Album');
+  assert.equal(await resolver.resolve({ title: 'Song', artist: 'Artist', album: 'Album' }), match.url);
+}));
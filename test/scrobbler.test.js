@@ -0,0 +1,118 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createHash } from 'crypto';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Scrobbler } from '../server/scrobbler.js';
+import { LastFmService } from '../server/scrobblers/lastfm.js';
+import { ListenBrainzService } from '../server/scrobblers/listenbrainz.js';
+
+// Stands in for both services - each test sets respond(request) => { status, body }
+let server;
+let baseUrl;
+let requests;
+let respond;
+let directory;
+let originalError;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const request = { path: req.url, headers: req.headers, body };
+      requests.push(request);
+      const { status, body: responseBody } = respond(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(responseBody));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  directory = await mkdtemp(join(tmpdir(), 'noteworthy-scrobbler-'));
+
+  originalError = console.error;
+  console.error = () => {};
+});
+
+after(async () => {
+  console.error = originalError;
+  await new Promise(resolve => server.close(resolve));
+  await rm(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+// A scrobbler whose queue was left over from the last run
+async function queuedScrobbler(serviceId, titles, config) {
+  const queueFile = join(directory, `${serviceId}-queue.json`);
+  const queue = titles.map((title, i) => ({
+    service: serviceId,
+    scrobble: { artist: 'Artist', title, album: 'Album', app: 'Player', timestamp: 1700000000 + i * 300, duration: 200000 }
+  }));
+  await writeFile(queueFile, JSON.stringify(queue));
+
+  const scrobbler = new Scrobbler(queueFile, [new LastFmService(), new ListenBrainzService()]);
+  scrobbler.configure({ [serviceId]: { enabled: true, ...config } });
+  await scrobbler.load();
+  return scrobbler;
+}
+
+test('ListenBrainz submits the queue as one import and drops only a rejected listen', async () => {
+  respond = ({ body }) => {
+    const { payload } = JSON.parse(body);
+    return payload.some(listen => listen.track_metadata.track_name === 'Bad')
+      ? { status: 400, body: { code: 400, error: 'Invalid listen' } }
+      : { status: 200, body: { status: 'ok' } };
+  };
+  const scrobbler = await queuedScrobbler('listenbrainz', ['One', 'Bad', 'Three'], { token: 'secret-token', baseUrl: `${baseUrl}/` });
+
+  await scrobbler.flush();
+
+  assert.equal(requests[0].path, '/1/submit-listens');
+  assert.equal(requests[0].headers.authorization, 'Token secret-token');
+  const batch = JSON.parse(requests[0].body);
+  assert.equal(batch.listen_type, 'import');
+  assert.deepEqual(batch.payload.map(listen => listen.listened_at), [1700000000, 1700000300, 1700000600]);
+  assert.equal(batch.payload[0].track_metadata.additional_info.media_player, 'Player');
+
+  // The rejected import is resent one listen at a time
+  const singles = requests.slice(1).map(request => JSON.parse(request.body));
+  assert.deepEqual(singles.map(single => single.listen_type), ['single', 'single', 'single']);
+  assert.deepEqual(singles.map(single => single.payload[0].track_metadata.track_name), ['One', 'Bad', 'Three']);
+  assert.deepEqual(scrobbler.queue, []);
+  assert.equal(scrobbler.services.get('listenbrainz').status.lastError, null);
+});
+
+test('Last.fm keeps the batch queued on a retryable error and sends it on the retry', async () => {
+  const config = { apiKey: 'key', apiSecret: 'shh', sessionKey: 'session', baseUrl };
+  respond = () => ({ status: 200, body: { error: 11, message: 'Service Offline' } });
+  const scrobbler = await queuedScrobbler('lastfm', ['One', 'Two'], config);
+
+  await scrobbler.flush();
+  assert.equal(requests.length, 1);
+  assert.equal(scrobbler.queue.length, 2);
+  assert.equal(scrobbler.services.get('lastfm').status.lastError, 'Last.fm: Service Offline');
+  assert.ok(scrobbler.retryTimer);
+
+  respond = () => ({ status: 200, body: { scrobbles: { '@attr': { accepted: 2, ignored: 0 } } } });
+  await scrobbler.flush();
+  assert.equal(scrobbler.retryTimer, null);
+  assert.deepEqual(scrobbler.queue, []);
+  assert.equal(scrobbler.services.get('lastfm').status.lastError, null);
+
+  // Both scrobbles in one signed track.scrobble call
+  const params = Object.fromEntries(new URLSearchParams(requests[1].body));
+  assert.equal(params.method, 'track.scrobble');
+  assert.equal(params.sk, 'session');
+  assert.deepEqual([params['track[0]'], params['track[1]']], ['One', 'Two']);
+  assert.deepEqual([params['timestamp[0]'], params['duration[1]']], ['1700000000', '200']);
+
+  const { api_sig: signature, format, ...signed } = params;
+  const base = Object.keys(signed).sort().map(key => `${key}${signed[key]}`).join('');
+  assert.equal(signature, createHash('md5').update(base + 'shh').digest('hex'));
+});
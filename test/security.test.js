@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AccessControl, normalizePath } from '../server/security.js';
+
+const access = new AccessControl({ adminToken: 'secret', readTokens: ['rt'], corsOrigins: [] });
+
+test('normalizePath matches paths the way Express routes and static files do', () => {
+  assert.equal(normalizePath('/API/Webhooks/'), '/api/webhooks');
+  assert.equal(normalizePath('//config.html'), '/config.html');
+  assert.equal(normalizePath('/./%63onfig'), '/config');
+  assert.equal(normalizePath('/'), '/');
+});
+
+test('admin-only paths need the admin token in any case', () => {
+  for (const path of ['/config', '/CONFIG', '/Config/', '/config.HTML', '/API/webhooks', '/api/Webhooks', '/Api/chat-bot', '/api/OBS/scenes', '/api/scrobbling/']) {
+    assert.equal(access.requiredAccess('GET', path), 'admin', path);
+  }
+});
+
+test('read paths need a read token in any case', () => {
+  for (const path of ['/', '/API/track', '/Widget', '/widget/Gameplay', '/Queue.html']) {
+    assert.equal(access.requiredAccess('GET', path), 'read', path);
+  }
+});
+
+test('album art and static assets stay open, changes always need the admin token', () => {
+  assert.equal(access.requiredAccess('GET', '/API/art/abc'), null);
+  assert.equal(access.requiredAccess('GET', '/css/widget.css'), null);
+  assert.equal(access.requiredAccess('POST', '/api/art/abc'), 'admin');
+});
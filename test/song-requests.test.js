@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SongRequestQueue } from '../server/song-requests.js';
+
+const SETTINGS = { enabled: true, requireApproval: false, maxPerUser: 1, cooldown: 0, maxQueueLength: 2, allowLinks: true, linkTimeout: 1000 };
+
+async function withQueue(settings, run) {
+  const directory = await mkdtemp(join(tmpdir(), 'noteworthy-'));
+  try {
+    const queue = new SongRequestQueue(join(directory, 'song-requests.json'));
+    queue.configure({ ...SETTINGS, ...settings });
+    await run(queue);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+}
+
+test('concurrent link requests from one viewer only get one slot', () => withQueue({}, async (queue) => {
+  const results = await Promise.allSettled([
+    queue.add({ user: 'viewer', text: 'https://example.com/one' }),
+    queue.add({ user: 'Viewer', text: 'https://example.com/two' })
+  ]);
+
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+  assert.equal(results[1].reason.code, 'USER_LIMIT');
+  assert.equal(queue.queue.length, 1);
+}));
+
+test('concurrent link requests stop at the queue length', () => withQueue({ maxPerUser: 0 }, async (queue) => {
+  const results = await Promise.allSettled(['a', 'b', 'c'].map(name =>
+    queue.add({ user: name, text: `https://example.com/${name}` })));
+
+  assert.equal(results.filter(result => result.status === 'rejected' && result.reason.code === 'QUEUE_FULL').length, 1);
+  assert.equal(queue.queue.length, 2);
+}));
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpectrumAnalyzer, fft } from '../server/audio/spectrum.js';
+
+const SAMPLE_RATE = 44100;
+
+function sine(frequency, length = 4096, amplitude = 1) {
+  return Float32Array.from({ length }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+}
+
+test('fft finds the bin of a pure tone', () => {
+  const n = 64;
+  const re = Float32Array.from({ length: n }, (_, i) => Math.cos(2 * Math.PI * 5 * i / n));
+  const im = new Float32Array(n);
+  fft(re, im);
+  const magnitudes = Array.from(re, (value, i) => Math.hypot(value, im[i]));
+  assert.equal(magnitudes.indexOf(Math.max(...magnitudes.slice(0, n / 2))), 5);
+});
+
+test('band bins rise without gaps or overlaps', () => {
+  for (const bands of [4, 12, 32]) {
+    const bins = new SpectrumAnalyzer({ sampleRate: SAMPLE_RATE, bands }).getBandBins();
+    assert.equal(bins.length, bands);
+    bins.forEach(([first, last], band) => {
+      assert.ok(first <= last);
+      if (band > 0) assert.ok(first > bins[band - 1][1]);
+    });
+  }
+});
+
+test('a tone lights up the band that holds its frequency', () => {
+  for (const frequency of [100, 1000, 8000]) {
+    const analyzer = new SpectrumAnalyzer({ sampleRate: SAMPLE_RATE, bands: 12 });
+    analyzer.push(sine(frequency));
+    const levels = analyzer.getLevels();
+    const loudest = levels.indexOf(Math.max(...levels));
+
+    const binWidth = SAMPLE_RATE / 2048;
+    const [first, last] = analyzer.bandBins[loudest];
+    assert.ok(frequency >= (first - 1) * binWidth && frequency <= (last + 1) * binWidth,
+      `${frequency} Hz landed in band ${loudest} (${first * binWidth}-${last * binWidth} Hz)`);
+    assert.ok(levels[loudest] > 0.9);
+  }
+});
+
+test('silence gives all-zero levels', () => {
+  const analyzer = new SpectrumAnalyzer({ sampleRate: SAMPLE_RATE, bands: 12 });
+  analyzer.push(new Float32Array(4096));
+  assert.deepEqual(analyzer.getLevels(), new Array(12).fill(0));
+});
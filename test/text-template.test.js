@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate } from '../server/text-template.js';
+
+const track = { title: 'Song', artist: 'Artist', playing: true };
+
+test('renderTemplate fills fields, lengths and fallbacks', () => {
+  assert.equal(renderTemplate('{artist} - {title}', track), 'Artist - Song');
+  assert.equal(renderTemplate('{album|No album}', track), 'No album');
+  assert.equal(renderTemplate('{title:3}', { title: 'Longer title' }), 'Lo…');
+  assert.equal(renderTemplate('{{title}}', track), '{title}');
+});
+
+test('renderTemplate leaves inherited object keys alone', () => {
+  assert.equal(renderTemplate('{constructor} {toString} {__proto__}', track), '{constructor} {toString} {__proto__}');
+});
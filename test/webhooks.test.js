@@ -0,0 +1,122 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { signWebhookBody, WebhookDispatcher } from '../server/webhooks.js';
+
+test('signWebhookBody is an HMAC-SHA256 of the raw body', () => {
+  // Same secret and body as GitHub's webhook signature example
+  assert.equal(
+    signWebhookBody("It's a Secret to Everybody", 'Hello, World!'),
+    'sha256=757107ea0eb2509fc211221cce984b8a37570b6d7586c22c46f4379c8b043e17'
+  );
+});
+
+// Local receiver - each test sets respond(request) => { status, headers }
+let server;
+let url;
+let requests;
+let respond;
+let originalError;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const request = { headers: req.headers, body };
+      requests.push(request);
+      const { status, headers = {} } = respond(request);
+      res.writeHead(status, headers);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+
+  originalError = console.error;
+  console.error = () => {};
+});
+
+after(async () => {
+  console.error = originalError;
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  respond = () => ({ status: 204 });
+});
+
+function dispatcherFor(hook) {
+  const dispatcher = new WebhookDispatcher();
+  const webhook = { id: 'hook-1', name: 'Test hook', url, events: ['track.changed'], format: 'json', secret: '', enabled: true, ...hook };
+  dispatcher.configure({ hooks: [webhook], publicUrl: 'http://stream.example', timeout: 2000, maxAttempts: 3 });
+  return { dispatcher, webhook };
+}
+
+async function waitFor(check, timeout = 2000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for the delivery');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('dispatch posts the event with its headers and a signature of the body', async () => {
+  const { dispatcher } = dispatcherFor({ secret: 'shh' });
+  dispatcher.dispatch('playback.paused', { title: 'Song' });
+  dispatcher.dispatch('track.changed', { title: 'Song', artist: 'Artist', albumArt: '/api/art/abc.jpg', playing: true });
+
+  await waitFor(() => dispatcher.deliveries[0].status === 'delivered');
+  // Only the subscribed event is sent
+  assert.equal(requests.length, 1);
+
+  const [{ headers, body }] = requests;
+  assert.equal(headers['content-type'], 'application/json');
+  assert.equal(headers['x-noteworthy-event'], 'track.changed');
+  assert.equal(headers['x-noteworthy-delivery'], dispatcher.deliveries[0].id);
+  assert.equal(headers['x-noteworthy-signature'], signWebhookBody('shh', body));
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, 'track.changed');
+  assert.equal(payload.track.title, 'Song');
+  assert.equal(payload.track.albumArt, 'http://stream.example/api/art/abc.jpg');
+  assert.equal(dispatcher.deliveries[0].responseStatus, 204);
+});
+
+test('a 500 is retried and a 400 is not', async () => {
+  const { dispatcher, webhook } = dispatcherFor();
+
+  // Retry-After keeps the test from waiting out the real backoff
+  respond = () => requests.length === 1 ? { status: 500, headers: { 'Retry-After': '0.05' } } : { status: 200 };
+  const retried = await dispatcher.test(webhook);
+  assert.equal(retried.status, 'retrying');
+  await waitFor(() => retried.status === 'delivered');
+  assert.equal(retried.attempts, 2);
+  assert.equal(requests.length, 2);
+
+  requests = [];
+  respond = () => ({ status: 400 });
+  const rejected = await dispatcher.test(webhook);
+  assert.equal(rejected.status, 'failed');
+  assert.equal(rejected.error, 'HTTP 400');
+  await delay(100);
+  assert.equal(requests.length, 1);
+});
+
+test('cancel stops a pending retry', async () => {
+  const { dispatcher, webhook } = dispatcherFor();
+  respond = () => ({ status: 503, headers: { 'Retry-After': '0.1' } });
+
+  const delivery = await dispatcher.test(webhook);
+  assert.equal(delivery.status, 'retrying');
+  dispatcher.cancel(webhook.id);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.error, 'Cancelled');
+
+  await delay(200);
+  assert.equal(requests.length, 1);
+  assert.equal(dispatcher.retryTimers.size, 0);
+});